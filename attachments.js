@@ -0,0 +1,190 @@
+// attachments.js
+// Receipts and documents attached to transactions: images (JPEG, PNG, GIF,
+// WebP, HEIC) and PDFs, kept in the configured storage backend (see
+// storage.js) with their metadata here.
+//
+// The type is read from the file's first bytes, not from its name or the
+// browser's Content-Type, and anything else is refused. A file may be up to
+// ATTACHMENT_MAX_BYTES (default 10 MB) and a transaction may have up to
+// ATTACHMENT_MAX_COUNT (default 20). Adding and deleting attachments goes
+// to the transaction's audit log; deleting the transaction deletes its
+// attachments.
+
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const audit = require('./audit');
+const storage = require('./storage');
+
+const MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024);
+const MAX_COUNT = Number(process.env.ATTACHMENT_MAX_COUNT || 20);
+
+// ---------- TABLES ----------
+async function initAttachmentTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS attachments(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      transaction_id TEXT,
+      filename TEXT,
+      content_type TEXT,
+      size INTEGER,
+      sha256 TEXT,
+      storage_driver TEXT,
+      storage_key TEXT,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS attachments_tx ON attachments(transaction_id, created_at)");
+}
+
+// ---------- TYPES ----------
+const TYPES = [
+  { type:"application/pdf", ext:".pdf", test: b => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+  { type:"image/jpeg", ext:".jpg", test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type:"image/png", ext:".png", test: b => b.subarray(0, 8).equals(Buffer.from([0x89,0x50,0x4e,0x47,0x0d,0x0a,0x1a,0x0a])) },
+  { type:"image/gif", ext:".gif", test: b => /^GIF8[79]a/.test(b.subarray(0, 6).toString("latin1")) },
+  { type:"image/webp", ext:".webp", test: b => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+  { type:"image/heic", ext:".heic", test: b => b.subarray(4, 8).toString("latin1") === "ftyp" && /^(heic|heix|mif1|msf1)$/.test(b.subarray(8, 12).toString("latin1")) }
+];
+
+// The file's type from its content, or null when it isn't an accepted one.
+function sniffType(buffer){
+  return TYPES.find(t => t.test(buffer)) || null;
+}
+
+// A name safe to show and to put in a download header.
+function cleanFilename(name, ext){
+  const base = path.basename(String(name || "")).replace(/[\x00-\x1f\x7f"\\/]/g, "").trim().slice(0, 200);
+  return base || `attachment${ext}`;
+}
+
+// ---------- RECORDS ----------
+const COLUMNS = "id,transaction_id,filename,content_type,size,sha256,created_by,created_at";
+
+async function listAttachments(user_id, transaction_id){
+  const r = await db.query(
+    `SELECT ${COLUMNS} FROM attachments WHERE user_id=$1 AND transaction_id=$2 ORDER BY created_at, id`,
+    [user_id, transaction_id]
+  );
+  return r.rows;
+}
+
+// Includes the storage columns, for reading and deleting the file.
+async function getAttachment(user_id, transaction_id, id){
+  const r = await db.query(
+    "SELECT * FROM attachments WHERE id=$1 AND user_id=$2 AND transaction_id=$3",
+    [id, user_id, transaction_id]
+  );
+  return r.rows[0] || null;
+}
+
+const publicAttachment = a => Object.fromEntries(COLUMNS.split(",").map(k => [k, a[k]]));
+
+async function countFor(conn, transaction_id){
+  const r = await conn.query("SELECT COUNT(*) AS n FROM attachments WHERE transaction_id=$1", [transaction_id]);
+  return Number(r.rows[0].n);
+}
+
+// Stores an uploaded file ({ buffer, originalname }) on a transaction.
+// Returns { attachment } or { error, status } when it can't be accepted.
+async function addAttachment(user_id, transaction_id, file, actor){
+  if (!file.buffer.length) return { status:400, error:"file is empty" };
+  if (file.buffer.length > MAX_BYTES) return { status:413, error:`file is larger than ${MAX_BYTES} bytes` };
+  const kind = sniffType(file.buffer);
+  if (!kind) return { status:415, error:"only PDF, JPEG, PNG, GIF, WebP and HEIC files can be attached" };
+  const full = { status:409, error:`a transaction can have at most ${MAX_COUNT} attachments` };
+  // Checked here to skip a pointless upload, and again under the lock below.
+  if (await countFor(db, transaction_id) >= MAX_COUNT) return full;
+
+  const driver = storage.driver();
+  const key = storage.newKey(`attachments/${user_id}`, kind.ext);
+  await driver.put(key, file.buffer, kind.type);
+
+  const a = {
+    id: uuidv4(),
+    transaction_id,
+    filename: cleanFilename(file.originalname, kind.ext),
+    content_type: kind.type,
+    size: file.buffer.length,
+    sha256: crypto.createHash("sha256").update(file.buffer).digest("hex")
+  };
+  // Locking the transaction's row makes concurrent uploads to it count and
+  // insert one at a time, so they can't overshoot the limit together.
+  const client = await db.pool.connect();
+  let refused = null;
+  try{
+    await client.query("BEGIN");
+    const tx = await client.query("SELECT id FROM transactions WHERE id=$1 AND user_id=$2 FOR UPDATE", [transaction_id, user_id]);
+    if (!tx.rows.length) refused = { status:404, error:"transaction not found" };
+    else if (await countFor(client, transaction_id) >= MAX_COUNT) refused = full;
+    else await client.query(`
+      INSERT INTO attachments(id,user_id,transaction_id,filename,content_type,size,sha256,storage_driver,storage_key,created_by)
+      VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+    `, [a.id, user_id, transaction_id, a.filename, a.content_type, a.size, a.sha256, driver.name, key, actor.id]);
+    await client.query(refused ? "ROLLBACK" : "COMMIT");
+  }catch(err){
+    await client.query("ROLLBACK").catch(() => {});
+    await driver.remove(key).catch(() => {});
+    throw err;
+  }finally{
+    client.release();
+  }
+  if (refused){
+    await driver.remove(key).catch(() => {});
+    return refused;
+  }
+  await audit.record({
+    user_id, entity:"transaction", entity_id:transaction_id, action:"attach", actor,
+    after: { attachment_id:a.id, filename:a.filename, content_type:a.content_type, size:a.size }
+  });
+  const stored = await getAttachment(user_id, transaction_id, a.id);
+  return { attachment: publicAttachment(stored) };
+}
+
+// The file's content, from whichever backend it was stored in.
+async function readAttachment(a){
+  return storage.driver(a.storage_driver).get(a.storage_key);
+}
+
+// Deletes the record, then the file; a file that can't be removed is only
+// logged, as the record is what makes it reachable.
+async function deleteAttachment(a, actor){
+  await db.query("DELETE FROM attachments WHERE id=$1", [a.id]);
+  await removeFile(a);
+  if (actor){
+    await audit.record({
+      user_id:a.user_id, entity:"transaction", entity_id:a.transaction_id, action:"detach", actor,
+      before: { attachment_id:a.id, filename:a.filename, content_type:a.content_type, size:a.size }
+    });
+  }
+}
+
+async function removeFile(a){
+  try{
+    await storage.driver(a.storage_driver).remove(a.storage_key);
+  }catch(err){
+    console.error(`could not remove stored file ${a.storage_key}:`, err.message);
+  }
+}
+
+// For a deleted transaction. Returns how many were removed.
+async function removeForTransaction(user_id, transaction_id){
+  const r = await db.query("SELECT * FROM attachments WHERE user_id=$1 AND transaction_id=$2", [user_id, transaction_id]);
+  for(const a of r.rows) await deleteAttachment(a, null);
+  return r.rows.length;
+}
+
+module.exports = {
+  MAX_BYTES,
+  initAttachmentTables,
+  sniffType,
+  listAttachments,
+  getAttachment,
+  publicAttachment,
+  addAttachment,
+  readAttachment,
+  deleteAttachment,
+  removeForTransaction
+};
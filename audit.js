@@ -0,0 +1,69 @@
+// audit.js
+// Append-only log of changes users make to their data: who did what to
+// which record, with the values before and after.
+//
+// `user_id` is the owner of the record, `actor_id` / `actor_email` whoever
+// made the change (the same person unless an admin acted for them). `before`
+// and `after` hold only the fields that changed; a delete has no `after` and
+// keeps the whole record in `before`.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+async function initAuditTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      entity TEXT,
+      entity_id TEXT,
+      action TEXT,
+      actor_id TEXT,
+      actor_email TEXT,
+      before JSONB,
+      after JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS audit_log_entity ON audit_log(entity, entity_id, created_at)");
+  await db.query("CREATE INDEX IF NOT EXISTS audit_log_user ON audit_log(user_id, created_at)");
+}
+
+// `actor` is req.user.
+async function record({ user_id, entity, entity_id, action, actor, before = null, after = null }){
+  const id = uuidv4();
+  await db.query(`
+    INSERT INTO audit_log(id,user_id,entity,entity_id,action,actor_id,actor_email,before,after)
+    VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9)
+  `, [id, user_id, entity, entity_id, action, actor ? actor.id : null, actor ? actor.email : null, before, after]);
+  return id;
+}
+
+// One record's history, oldest first.
+async function history(user_id, entity, entity_id){
+  const r = await db.query(`
+    SELECT id,entity,entity_id,action,actor_id,actor_email,before,after,created_at FROM audit_log
+    WHERE user_id=$1 AND entity=$2 AND entity_id=$3 ORDER BY created_at, id
+  `, [user_id, entity, entity_id]);
+  return r.rows;
+}
+
+// The user's log, newest first, optionally for one entity type.
+async function list(user_id, { entity = null, limit = 100 } = {}){
+  const where = ["user_id=$1"];
+  const params = [user_id];
+  if (entity){ params.push(entity); where.push(`entity=$${params.length}`); }
+  params.push(limit);
+  const r = await db.query(
+    `SELECT id,entity,entity_id,action,actor_id,actor_email,before,after,created_at FROM audit_log
+     WHERE ${where.join(" AND ")} ORDER BY created_at DESC LIMIT $${params.length}`,
+    params
+  );
+  return r.rows;
+}
+
+module.exports = {
+  initAuditTables,
+  record,
+  history,
+  list
+};
@@ -0,0 +1,252 @@
+// auth.js
+// Sign-in and sessions.
+//
+// Users sign in with a password (scrypt-hashed) or a one-time magic link
+// sent by email. Either way they get a session token: an HS256 JWT signed
+// with AUTH_SECRET, returned in the response body and set as an httpOnly
+// cookie. requireAuth reads it from the Authorization header or the cookie
+// and puts the user on req.user; routes take the user from there, never from
+// a user_id the client sends.
+//
+// Tokens carry the user's token_version, so signing out or changing the
+// password (which bump it) ends every session of that user at once. A magic
+// link to an unknown email creates the account only when it is opened, so
+// asking for links can't fill the users table. Magic links are written to
+// MAIL_OUTBOX_DIR as .eml files instead of being sent; point a mail relay at
+// that directory in production.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 24);
+const MAGIC_LINK_MINUTES = Number(process.env.MAGIC_LINK_MINUTES || 15);
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "/tmp/fintrack-outbox";
+const COOKIE = "fintrack_session";
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "").split(",").map(e => e.trim().toLowerCase()).filter(Boolean);
+
+let SECRET = process.env.AUTH_SECRET;
+if (!SECRET){
+  // Sessions won't survive a restart or work across instances without one.
+  SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn("AUTH_SECRET not set: using a random secret, sessions end on restart");
+}
+
+// ---------- TABLES ----------
+async function initAuthTables(){
+  await db.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT");
+  await db.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER DEFAULT 0");
+  await db.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP");
+
+  // Only a hash of each link's token is stored.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS magic_links(
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT,
+      email TEXT,
+      expires_at TIMESTAMP,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("ALTER TABLE magic_links ADD COLUMN IF NOT EXISTS email TEXT");
+}
+
+// ---------- PASSWORDS ----------
+const SCRYPT_N = 16384;
+
+function hashPassword(password){
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32, { N:SCRYPT_N });
+  return `scrypt$${SCRYPT_N}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function verifyPassword(password, stored){
+  const [scheme, n, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(password, Buffer.from(salt, "base64"), expected.length, { N:Number(n) });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ---------- TOKENS ----------
+const b64url = buf => Buffer.from(buf).toString("base64url");
+const sign = data => crypto.createHmac("sha256", SECRET).update(data).digest("base64url");
+
+function signToken(user){
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg:"HS256", typ:"JWT" }));
+  const payload = b64url(JSON.stringify({
+    sub: user.id, email: user.email, ver: user.token_version || 0,
+    iat: now, exp: now + TOKEN_TTL_HOURS * 3600
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// The token's claims, or null when it is malformed, forged or expired.
+function verifyToken(token){
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try{
+    const claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    if (!claims.sub || !claims.exp || claims.exp * 1000 < Date.now()) return null;
+    return claims;
+  }catch(e){
+    return null;
+  }
+}
+
+function readCookie(req, name){
+  const header = req.headers.cookie || "";
+  for(const part of header.split(";")){
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+function tokenFrom(req){
+  const h = req.headers.authorization || "";
+  if (/^Bearer /i.test(h)) return h.slice(7).trim();
+  return readCookie(req, COOKIE);
+}
+
+// Sets the session cookie and returns the token for API clients.
+function startSession(res, user){
+  const token = signToken(user);
+  res.setHeader("Set-Cookie",
+    `${COOKIE}=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${TOKEN_TTL_HOURS * 3600}` +
+    (process.env.NODE_ENV === "production" ? "; Secure" : ""));
+  return token;
+}
+
+function clearSession(res){
+  res.setHeader("Set-Cookie", `${COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`);
+}
+
+const isAdmin = email => ADMIN_EMAILS.includes(String(email || "").toLowerCase());
+
+// ---------- MIDDLEWARE ----------
+// 401 unless the request carries a valid session; sets req.user = { id, email, admin }.
+async function requireAuth(req, res, next){
+  try{
+    const claims = verifyToken(tokenFrom(req));
+    if (!claims) return res.status(401).json({ error:"authentication required" });
+    const r = await db.query("SELECT id,email,token_version FROM users WHERE id=$1", [claims.sub]);
+    const user = r.rows[0];
+    if (!user || (user.token_version || 0) !== claims.ver)
+      return res.status(401).json({ error:"session expired, sign in again" });
+    req.user = { id:user.id, email:user.email, admin:isAdmin(user.email) };
+    next();
+  }catch(err){
+    res.status(500).json({ error:"authentication failed", details:err.message });
+  }
+}
+
+function requireAdmin(req, res, next){
+  if (!req.user || !req.user.admin) return res.status(403).json({ error:"admin only" });
+  next();
+}
+
+// ---------- USERS ----------
+const normalizeEmail = e => String(e || "").trim().toLowerCase();
+const validEmail = e => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
+
+async function findUser(email){
+  const r = await db.query("SELECT id,email,password_hash,token_version FROM users WHERE email=$1", [normalizeEmail(email)]);
+  return r.rows[0] || null;
+}
+
+async function createUser(email, password_hash = null){
+  const id = uuidv4();
+  await db.query(
+    "INSERT INTO users(id,email,password_hash,token_version) VALUES($1,$2,$3,0)",
+    [id, normalizeEmail(email), password_hash]
+  );
+  return { id, email:normalizeEmail(email), token_version:0 };
+}
+
+// Also ends the user's other sessions; returns the user for a new one.
+async function setPassword(user_id, password){
+  const r = await db.query(
+    "UPDATE users SET password_hash=$2, token_version=COALESCE(token_version,0)+1 WHERE id=$1 RETURNING id,email,token_version",
+    [user_id, hashPassword(password)]
+  );
+  return r.rows[0];
+}
+
+// Ends every session of the user.
+async function revokeSessions(user_id){
+  await db.query("UPDATE users SET token_version=COALESCE(token_version,0)+1 WHERE id=$1", [user_id]);
+}
+
+// ---------- MAGIC LINKS ----------
+const sha256 = s => crypto.createHash("sha256").update(s).digest("hex");
+
+// Creates a one-time link and drops the email in the outbox. `user` is an
+// existing user, or { email } for someone without an account yet.
+async function sendMagicLink(user, baseUrl){
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expires = new Date(Date.now() + MAGIC_LINK_MINUTES * 60000);
+  await db.query(
+    "INSERT INTO magic_links(token_hash,user_id,email,expires_at) VALUES($1,$2,$3,$4)",
+    [sha256(token), user.id || null, user.email, expires.toISOString()]
+  );
+
+  const link = `${baseUrl}/api/auth/magic-link/verify?token=${token}`;
+  const mail = [
+    `To: ${user.email}`,
+    "From: FinTrack <no-reply@fintrack.local>",
+    "Subject: Your FinTrack sign-in link",
+    `Date: ${new Date().toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    `Sign in to FinTrack: ${link}`,
+    "",
+    `The link works once and expires in ${MAGIC_LINK_MINUTES} minutes.`,
+    ""
+  ].join("\r\n");
+  if (!fs.existsSync(OUTBOX_DIR)) fs.mkdirSync(OUTBOX_DIR, { recursive:true });
+  const file = path.join(OUTBOX_DIR, `${Date.now()}-${user.email.replace(/[^\w.@-]/g, "_")}.eml`);
+  fs.writeFileSync(file, mail);
+  return file;
+}
+
+// The link's user if the token is valid, unused and unexpired; uses it up.
+// A link sent to a new email creates the account here.
+async function consumeMagicLink(token){
+  const r = await db.query(`
+    UPDATE magic_links SET used_at=CURRENT_TIMESTAMP
+    WHERE token_hash=$1 AND used_at IS NULL AND expires_at > $2
+    RETURNING user_id, email
+  `, [sha256(String(token || "")), new Date().toISOString()]);
+  if (!r.rows.length) return null;
+  const link = r.rows[0];
+  if (!link.user_id) return (await findUser(link.email)) || createUser(link.email);
+  const u = await db.query("SELECT id,email,token_version FROM users WHERE id=$1", [link.user_id]);
+  return u.rows[0] || null;
+}
+
+module.exports = {
+  initAuthTables,
+  hashPassword,
+  verifyPassword,
+  verifyToken,
+  startSession,
+  clearSession,
+  requireAuth,
+  requireAdmin,
+  isAdmin,
+  normalizeEmail,
+  validEmail,
+  findUser,
+  createUser,
+  setPassword,
+  revokeSessions,
+  sendMagicLink,
+  consumeMagicLink
+};
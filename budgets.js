@@ -0,0 +1,215 @@
+// budgets.js
+// Monthly spending limits, per category or overall (category NULL).
+//
+// Spend for a month is the same sum /api/dashboard's byMonth uses: the
+// amounts of the month's transactions, so refunds net off against spend.
+// An overall budget leaves out rows categorised as income, otherwise a
+// salary would wipe out the month's spending.
+//
+// Each budget has alert thresholds in percent (BUDGET_ALERT_THRESHOLDS,
+// default 80 and 100). When a new transaction - entered by hand or imported
+// by the worker - takes the current month's spend past one, the user gets a
+// notification, once per budget, month and threshold.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const notifications = require('./notifications');
+
+const DEFAULT_THRESHOLDS = (process.env.BUDGET_ALERT_THRESHOLDS || "80,100")
+  .split(",").map(Number).filter(n => n > 0);
+
+// ---------- TABLES ----------
+async function initBudgetTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS budgets(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      category TEXT,
+      amount NUMERIC,
+      thresholds JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS budgets_user ON budgets(user_id)");
+
+  // Thresholds already alerted on, so each fires once a month.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS budget_alerts(
+      budget_id TEXT,
+      month TEXT,
+      threshold INTEGER,
+      notification_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (budget_id, month, threshold)
+    )`);
+}
+
+// ---------- MONTHS ----------
+const pad = n => String(n).padStart(2, "0");
+
+// "2024-03" for the current month, in the server's local time like the
+// stored timestamps.
+function currentMonth(){
+  const d = new Date();
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+}
+
+function monthRange(month){
+  const [y, m] = month.split("-").map(Number);
+  const next = m === 12 ? `${y + 1}-01` : `${y}-${pad(m + 1)}`;
+  return [`${month}-01`, `${next}-01`];
+}
+
+const validMonth = m => /^\d{4}-(0[1-9]|1[0-2])$/.test(m || "");
+
+// Month of a transaction timestamp (string or pg Date).
+function monthOf(ts){
+  if (ts instanceof Date) return `${ts.getFullYear()}-${pad(ts.getMonth() + 1)}`;
+  return String(ts || "").slice(0, 7);
+}
+
+// ---------- CRUD ----------
+async function listBudgets(user_id){
+  const r = await db.query(
+    "SELECT id,category,amount,thresholds,created_at,updated_at FROM budgets WHERE user_id=$1 ORDER BY category NULLS FIRST",
+    [user_id]
+  );
+  return r.rows.map(b => ({ ...b, amount:Number(b.amount) }));
+}
+
+async function getBudget(id, user_id){
+  const r = await db.query("SELECT id,category,amount,thresholds,created_at,updated_at FROM budgets WHERE id=$1 AND user_id=$2", [id, user_id]);
+  const b = r.rows[0];
+  return b ? { ...b, amount:Number(b.amount) } : null;
+}
+
+// The user's budget for a category (null = overall), if any.
+async function findBudget(user_id, category){
+  const r = category
+    ? await db.query("SELECT id FROM budgets WHERE user_id=$1 AND category=$2", [user_id, category])
+    : await db.query("SELECT id FROM budgets WHERE user_id=$1 AND category IS NULL", [user_id]);
+  return r.rows[0] || null;
+}
+
+async function saveBudget(user_id, { category, amount, thresholds }, id = null){
+  const t = JSON.stringify(thresholds && thresholds.length ? thresholds : DEFAULT_THRESHOLDS);
+  if (id){
+    await db.query(
+      "UPDATE budgets SET category=$3, amount=$4, thresholds=$5, updated_at=CURRENT_TIMESTAMP WHERE id=$1 AND user_id=$2",
+      [id, user_id, category || null, amount, t]
+    );
+  } else {
+    id = uuidv4();
+    await db.query(
+      "INSERT INTO budgets(id,user_id,category,amount,thresholds) VALUES($1,$2,$3,$4,$5)",
+      [id, user_id, category || null, amount, t]
+    );
+  }
+  return getBudget(id, user_id);
+}
+
+async function deleteBudget(id, user_id){
+  const r = await db.query("DELETE FROM budgets WHERE id=$1 AND user_id=$2", [id, user_id]);
+  if (r.rowCount) await db.query("DELETE FROM budget_alerts WHERE budget_id=$1", [id]);
+  return r.rowCount > 0;
+}
+
+// ---------- PROGRESS ----------
+// Spend per category for one month, plus the overall (non-income) total.
+async function monthSpend(user_id, month){
+  const [from, to] = monthRange(month);
+  const r = await db.query(`
+    SELECT category, SUM(amount) AS spent FROM transactions
+    WHERE user_id=$1 AND timestamp >= $2 AND timestamp < $3
+    GROUP BY category
+  `, [user_id, from, to]);
+  const byCategory = {};
+  let overall = 0;
+  for(const row of r.rows){
+    const c = row.category || "other";
+    byCategory[c] = (byCategory[c] || 0) + Number(row.spent);
+    if (c !== "income") overall += Number(row.spent);
+  }
+  return { byCategory, overall };
+}
+
+function progressOf(budget, spend){
+  const spent = Math.round((budget.category ? spend.byCategory[budget.category] || 0 : spend.overall) * 100) / 100;
+  return {
+    spent,
+    remaining: Math.round((budget.amount - spent) * 100) / 100,
+    percent: budget.amount > 0 ? Math.round(spent / budget.amount * 1000) / 10 : null
+  };
+}
+
+// Every budget of the user with its progress for `month`.
+async function progress(user_id, month = currentMonth()){
+  const [list, spend] = await Promise.all([listBudgets(user_id), monthSpend(user_id, month)]);
+  return list.map(b => ({ ...b, month, ...progressOf(b, spend) }));
+}
+
+// ---------- ALERTS ----------
+// Raises a notification for every threshold the current month's spend has
+// reached and that hasn't been alerted yet. `timestamps` are the new
+// transactions'; nothing happens unless one falls in the current month, so
+// importing old statements doesn't flood the user. Returns the alerts raised.
+async function checkAlerts(user_id, timestamps){
+  const month = currentMonth();
+  if (!timestamps.some(ts => monthOf(ts) === month)) return [];
+
+  const raised = [];
+  for(const b of await progress(user_id, month)){
+    if (b.percent === null) continue;
+    const crossed = (b.thresholds || []).map(Number).filter(t => b.percent >= t).sort((x, y) => y - x);
+    for(const t of crossed){
+      // Claim the alert before sending it, so concurrent imports that cross
+      // the same threshold notify once.
+      const claimed = await db.query(
+        "INSERT INTO budget_alerts(budget_id,month,threshold) VALUES($1,$2,$3) ON CONFLICT DO NOTHING RETURNING budget_id",
+        [b.id, month, t]
+      );
+      if (!claimed.rows.length) continue;
+
+      const name = b.category ? `${b.category} budget` : "overall budget";
+      const title = t >= 100 ? `Over your ${name}` : `${t}% of your ${name} used`;
+      const message = `You've spent ${b.spent} of ${b.amount} (${b.percent}%) in ${month}.`;
+      let notification_id;
+      try{
+        notification_id = await notifications.notify(user_id, "budget_alert", title, message, {
+          budget_id:b.id, category:b.category, month, threshold:t, spent:b.spent, amount:b.amount, percent:b.percent
+        });
+      }catch(err){
+        // Release the claim so the next check can raise it again.
+        await db.query("DELETE FROM budget_alerts WHERE budget_id=$1 AND month=$2 AND threshold=$3", [b.id, month, t]);
+        throw err;
+      }
+      await db.query(
+        "UPDATE budget_alerts SET notification_id=$4 WHERE budget_id=$1 AND month=$2 AND threshold=$3",
+        [b.id, month, t, notification_id]
+      );
+      raised.push({ budget_id:b.id, threshold:t, notification_id });
+      // The highest threshold crossed is enough; lower ones are marked done too.
+      for(const lower of crossed.filter(x => x < t)){
+        await db.query(
+          "INSERT INTO budget_alerts(budget_id,month,threshold,notification_id) VALUES($1,$2,$3,$4) ON CONFLICT DO NOTHING",
+          [b.id, month, lower, notification_id]
+        );
+      }
+      break;
+    }
+  }
+  return raised;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  validMonth,
+  initBudgetTables,
+  listBudgets,
+  getBudget,
+  findBudget,
+  saveBudget,
+  deleteBudget,
+  progress,
+  checkAlerts
+};
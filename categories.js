@@ -0,0 +1,195 @@
+// categories.js
+// Spending categories for transactions.
+//
+// A transaction's category comes from, in order of preference:
+//   1. a manual override on that transaction (never touched again),
+//   2. the user's own rules ("merchant contains X -> category"),
+//   3. rules learned from the user's manual overrides (exact merchant),
+//   4. the built-in taxonomy's merchant keywords (longest match wins),
+//   5. "income" for credits, else "other".
+// category_source on the row records which of these applied. Creating,
+// changing or deleting a user rule re-categorises the user's existing rows
+// that weren't set by hand.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+// ---------- TAXONOMY ----------
+const TAXONOMY = [
+  { id:"groceries", name:"Groceries", keywords:["tesco","lidl","aldi","dunnes","supervalu","spar","centra","londis","sainsbury","asda","morrisons","waitrose","m&s food","iceland","grocer","supermarket"] },
+  { id:"dining", name:"Eating out", keywords:["restaurant","cafe","coffee","starbucks","costa","insomnia","mcdonald","burger king","kfc","subway","deliveroo","just eat","uber eats","pizza","takeaway","pub","bar"] },
+  { id:"transport", name:"Transport", keywords:["uber","bolt","free now","freenow","taxi","luas","dart","irish rail","iarnrod","bus eireann","dublin bus","leap card","tfl","trainline","parking","toll"] },
+  { id:"fuel", name:"Fuel", keywords:["circle k","applegreen","maxol","shell","esso","texaco","topaz","bp","fuel","petrol"] },
+  { id:"rent", name:"Rent & housing", keywords:["rent","landlord","letting","lettings","property management","mortgage"] },
+  { id:"utilities", name:"Utilities & phone", keywords:["electric ireland","bord gais","energia","sse airtricity","flogas","irish water","uisce","eir","vodafone","three ireland","virgin media","sky ireland","broadband"] },
+  { id:"subscriptions", name:"Subscriptions", keywords:["netflix","spotify","disney plus","disney+","apple com bill","itunes","amazon prime","prime video","youtube premium","patreon","adobe","microsoft 365","dropbox","icloud","subscription"] },
+  { id:"shopping", name:"Shopping", keywords:["amazon","penneys","primark","zara","h&m","argos","ikea","ebay","currys","harvey norman","tk maxx","boots"] },
+  { id:"entertainment", name:"Entertainment", keywords:["cinema","odeon","omniplex","ticketmaster","steam","playstation","xbox","nintendo","concert"] },
+  { id:"travel", name:"Travel", keywords:["ryanair","aer lingus","easyjet","hotel","airbnb","booking com","expedia","hostel"] },
+  { id:"health", name:"Health & fitness", keywords:["pharmacy","chemist","doctor","gp","dentist","hospital","clinic","vhi","laya","irish life health","gym","flyefit"] },
+  { id:"gambling", name:"Gambling", keywords:["casino","bet","betfair","bet365","paddy power","boylesports","ladbrokes","william hill","lottery","lotto","poker","bingo"] },
+  { id:"cash", name:"Cash", keywords:["atm","cash withdrawal","cashback"] },
+  { id:"transfers", name:"Transfers", keywords:["transfer","standing order","to savings","revolut top up"] },
+  { id:"fees", name:"Fees & charges", keywords:["fee","charge","interest","overdraft","stamp duty"] },
+  { id:"income", name:"Income", keywords:["salary","payroll","wages","dividend"] },
+  { id:"other", name:"Other", keywords:[] }
+];
+
+const normalize = s => String(s || "").toLowerCase().replace(/[^\p{L}\p{N}&+]+/gu, " ").trim();
+
+// Every keyword as a whole-word pattern, longest first.
+const KEYWORDS = TAXONOMY
+  .flatMap(c => c.keywords.map(k => ({ category:c.id, keyword:normalize(k) })))
+  .sort((a, b) => b.keyword.length - a.keyword.length)
+  .map(k => ({ ...k, re: new RegExp(`(^| )${k.keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}( |$)`) }));
+
+function builtinCategory(merchant){
+  const m = normalize(merchant);
+  const hit = KEYWORDS.find(k => k.re.test(m));
+  return hit ? hit.category : null;
+}
+
+// Category ids are lower-case slugs; users may add their own beyond the taxonomy.
+const validCategory = c => typeof c === "string" && /^[a-z0-9][a-z0-9_-]{0,39}$/.test(c);
+
+// ---------- TABLES ----------
+async function initCategoryTables(){
+  await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category TEXT");
+  await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category_source TEXT");
+  await db.query("CREATE INDEX IF NOT EXISTS transactions_user_category ON transactions(user_id, category)");
+
+  // origin 'user' rules are written by the user (match 'contains' or 'exact');
+  // 'learned' ones come from manual overrides and match the merchant exactly.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS category_rules(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      pattern TEXT,
+      match TEXT DEFAULT 'contains',
+      category TEXT,
+      origin TEXT DEFAULT 'user',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS category_rules_user ON category_rules(user_id)");
+
+  await backfillCategories();
+}
+
+// Rows from before categories existed get the built-in one on startup.
+async function backfillCategories(){
+  while(true){
+    const r = await db.query("SELECT id,merchant,amount FROM transactions WHERE category IS NULL LIMIT 1000");
+    if (!r.rows.length) return;
+    for(const tx of r.rows){
+      const { category, source } = categorize(tx, []);
+      await db.query("UPDATE transactions SET category=$2, category_source=$3 WHERE id=$1", [tx.id, category, source]);
+    }
+  }
+}
+
+// ---------- RULES ----------
+async function loadRules(user_id){
+  const r = await db.query(
+    "SELECT id,pattern,match,category,origin,created_at FROM category_rules WHERE user_id=$1 ORDER BY created_at",
+    [user_id]
+  );
+  return r.rows;
+}
+
+function ruleMatches(rule, merchant){
+  const m = normalize(merchant);
+  const p = normalize(rule.pattern);
+  if (!p) return false;
+  return rule.match === "exact" ? m === p : m.includes(p);
+}
+
+// { category, source } for a transaction given the user's rules. Among user
+// rules the most specific (longest pattern) wins.
+function categorize(tx, rules){
+  const byLength = (a, b) => normalize(b.pattern).length - normalize(a.pattern).length;
+  const user = rules.filter(r => r.origin !== "learned" && ruleMatches(r, tx.merchant)).sort(byLength)[0];
+  if (user) return { category:user.category, source:"rule" };
+  const learned = rules.find(r => r.origin === "learned" && ruleMatches(r, tx.merchant));
+  if (learned) return { category:learned.category, source:"learned" };
+  const builtin = builtinCategory(tx.merchant);
+  if (builtin) return { category:builtin, source:"builtin" };
+  return { category: Number(tx.amount) < 0 ? "income" : "other", source:"default" };
+}
+
+// Sets tx.category / tx.category_source before insert.
+async function assign(tx, rules){
+  if (!rules) rules = await loadRules(tx.user_id);
+  const { category, source } = categorize(tx, rules);
+  tx.category = category;
+  tx.category_source = source;
+  return tx;
+}
+
+// Re-applies the rules to every row of the user not categorised by hand.
+// Returns how many rows changed.
+async function recategorize(user_id){
+  const rules = await loadRules(user_id);
+  const r = await db.query(`
+    SELECT id,merchant,amount,category,category_source FROM transactions
+    WHERE user_id=$1 AND (category_source IS NULL OR category_source <> 'manual')
+  `, [user_id]);
+  let updated = 0;
+  for(const tx of r.rows){
+    const { category, source } = categorize(tx, rules);
+    if (category === tx.category && source === tx.category_source) continue;
+    await db.query("UPDATE transactions SET category=$2, category_source=$3 WHERE id=$1", [tx.id, category, source]);
+    updated++;
+  }
+  return updated;
+}
+
+async function saveRule(user_id, { pattern, match, category }, id = uuidv4()){
+  await db.query(`
+    INSERT INTO category_rules(id,user_id,pattern,match,category,origin) VALUES($1,$2,$3,$4,$5,'user')
+    ON CONFLICT (id) DO UPDATE SET pattern=EXCLUDED.pattern, match=EXCLUDED.match, category=EXCLUDED.category
+  `, [id, user_id, pattern, match || "contains", category]);
+  return { id, pattern, match: match || "contains", category, origin:"user" };
+}
+
+async function getRule(id, user_id){
+  const r = await db.query("SELECT * FROM category_rules WHERE id=$1 AND user_id=$2", [id, user_id]);
+  return r.rows[0] || null;
+}
+
+async function deleteRule(id, user_id){
+  const r = await db.query("DELETE FROM category_rules WHERE id=$1 AND user_id=$2", [id, user_id]);
+  return r.rowCount > 0;
+}
+
+// ---------- OVERRIDES ----------
+// Sets one transaction's category by hand. With `learn`, later imports of
+// the same merchant get that category too (one learned rule per merchant).
+async function override(user_id, transaction_id, category, learn = true){
+  const r = await db.query(
+    "UPDATE transactions SET category=$3, category_source='manual' WHERE id=$1 AND user_id=$2 RETURNING merchant",
+    [transaction_id, user_id, category]
+  );
+  if (!r.rows.length) return null;
+  const merchant = normalize(r.rows[0].merchant);
+  if (learn && merchant){
+    await db.query("DELETE FROM category_rules WHERE user_id=$1 AND origin='learned' AND pattern=$2", [user_id, merchant]);
+    await db.query(`
+      INSERT INTO category_rules(id,user_id,pattern,match,category,origin) VALUES($1,$2,$3,'exact',$4,'learned')
+    `, [uuidv4(), user_id, merchant, category]);
+  }
+  return { id:transaction_id, category, category_source:"manual", learned: !!(learn && merchant) };
+}
+
+module.exports = {
+  TAXONOMY,
+  validCategory,
+  initCategoryTables,
+  categorize,
+  assign,
+  loadRules,
+  recategorize,
+  saveRule,
+  getRule,
+  deleteRule,
+  override
+};
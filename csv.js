@@ -0,0 +1,23 @@
+// csv.js
+// Writing CSV downloads: the import problem report and the fraud label
+// export.
+//
+// A cell a spreadsheet would run as a formula (one starting with =, +, -, @,
+// a tab or a carriage return) gets a leading ' so it opens as text. Numbers,
+// negative amounts included, are written as they are.
+
+const FORMULA = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?[€$£]?[\d.,]+$/;
+
+function csvCell(v){
+  let s = v === undefined || v === null ? "" : String(v);
+  if (FORMULA.test(s) && !NUMBER.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// A header and rows of cells as CRLF-terminated lines.
+function toCsv(header, rows){
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { csvCell, toCsv };
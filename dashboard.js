@@ -0,0 +1,195 @@
+// dashboard.js
+// Aggregates behind /api/dashboard, computed in Postgres over the user's
+// whole history (or a from/to range) rather than in JS over recent rows.
+//
+// Amounts are spend-positive, so expense is the sum of positive amounts and
+// income the (negated) sum of negative ones; total is the net of both, as
+// byMonth has always been. Risk scores are on the library's 0-1 scale and
+// fall into RISK_BANDS.
+
+const db = require('./db');
+const { parseDate } = require('./parsing');
+
+const RISK_BANDS = [
+  { id:"low",      min:0,    max:0.25 },
+  { id:"medium",   min:0.25, max:0.5 },
+  { id:"high",     min:0.5,  max:0.75 },
+  { id:"critical", min:0.75, max:null }
+];
+
+const RISK_BAND_SQL = "CASE " + RISK_BANDS
+  .filter(b => b.max !== null)
+  .map(b => `WHEN risk_score < ${b.max} THEN '${b.id}'`)
+  .join(" ") + ` ELSE '${RISK_BANDS[RISK_BANDS.length - 1].id}' END`;
+
+// group_by option -> SQL expression for the group key.
+const GROUPS = {
+  day:       "date_trunc('day', timestamp)",
+  week:      "date_trunc('week', timestamp)",
+  month:     "date_trunc('month', timestamp)",
+  merchant:  "merchant",
+  country:   "country",
+  category:  "COALESCE(category, 'other')",
+  risk_band: RISK_BAND_SQL
+};
+const TIME_GROUPS = ["day","week","month"];
+
+const SUMS = `
+  COUNT(*) AS count,
+  COALESCE(SUM(amount), 0) AS total,
+  COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) AS expense,
+  COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) AS income`;
+
+const pad = n => String(n).padStart(2, "0");
+const round2 = n => Math.round(Number(n || 0) * 100) / 100;
+// Averages and maxima are null for an empty range rather than 0.
+const maybe = (n, places = 2) => n === null || n === undefined ? null : Math.round(Number(n) * 10 ** places) / 10 ** places;
+
+function formatKey(group, key){
+  if (!TIME_GROUPS.includes(group) || key === null) return key;
+  const d = key instanceof Date ? key : new Date(key);
+  const day = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  return group === "month" ? day.slice(0, 7) : day;
+}
+
+// ---------- RANGE ----------
+// Reads from/to (any date parseDate understands). A date-only `to` includes
+// that whole day. Returns { range } or { error }.
+function readRange(query){
+  const range = { from:null, to:null };
+  if (query.from){
+    range.from = parseDate(query.from);
+    if (!range.from) return { error:`from "${query.from}" is not a valid date` };
+  }
+  if (query.to){
+    const to = parseDate(query.to);
+    if (!to) return { error:`to "${query.to}" is not a valid date` };
+    if (!String(query.to).includes(":")){
+      const d = new Date(to.slice(0, 10) + "T00:00:00Z");
+      d.setUTCDate(d.getUTCDate() + 1);
+      range.to = d.toISOString().slice(0, 10) + "T00:00:00";
+    } else {
+      range.to = to;
+    }
+  }
+  if (range.from && range.to && range.from >= range.to) return { error:"from must be before to" };
+  return { range };
+}
+
+function whereFor(user_id, range){
+  const where = ["user_id=$1"];
+  const params = [user_id];
+  if (range.from){ params.push(range.from); where.push(`timestamp >= $${params.length}`); }
+  if (range.to){ params.push(range.to); where.push(`timestamp < $${params.length}`); }
+  return { sql: where.join(" AND "), params };
+}
+
+// ---------- QUERIES ----------
+async function summary(where){
+  const r = await db.query(`
+    SELECT ${SUMS},
+      COUNT(CASE WHEN amount > 0 THEN 1 END) AS expense_count,
+      COUNT(CASE WHEN amount < 0 THEN 1 END) AS income_count,
+      AVG(CASE WHEN amount > 0 THEN amount END) AS expense_avg,
+      MAX(CASE WHEN amount > 0 THEN amount END) AS expense_max,
+      AVG(CASE WHEN amount < 0 THEN -amount END) AS income_avg,
+      MAX(CASE WHEN amount < 0 THEN -amount END) AS income_max,
+      AVG(ABS(amount)) AS avg_amount,
+      MAX(ABS(amount)) AS max_amount,
+      AVG(risk_score) AS avg_risk,
+      MAX(risk_score) AS max_risk,
+      MIN(timestamp) AS first_at,
+      MAX(timestamp) AS last_at
+    FROM transactions WHERE ${where.sql}
+  `, where.params);
+  return r.rows[0];
+}
+
+async function grouped(where, group, limit){
+  const key = GROUPS[group];
+  // Time groups come back in date order; the rest biggest spend first.
+  const order = TIME_GROUPS.includes(group) ? "key" : "expense DESC, count DESC";
+  const r = await db.query(`
+    SELECT ${key} AS key, ${SUMS}, AVG(risk_score) AS avg_risk, MAX(risk_score) AS max_risk
+    FROM transactions WHERE ${where.sql}
+    GROUP BY ${key} ORDER BY ${order}
+    LIMIT ${Number(limit)}
+  `, where.params);
+  return r.rows.map(row => ({
+    key: formatKey(group, row.key),
+    count: Number(row.count),
+    total: round2(row.total),
+    expense: round2(row.expense),
+    income: round2(row.income),
+    avg_risk: maybe(row.avg_risk, 3),
+    max_risk: maybe(row.max_risk, 3)
+  }));
+}
+
+// Count and spend per risk band, every band present, plus a histogram in
+// tenths of the score.
+async function riskDistribution(where){
+  const bands = await db.query(`
+    SELECT ${RISK_BAND_SQL} AS band, COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total
+    FROM transactions WHERE ${where.sql} AND risk_score IS NOT NULL
+    GROUP BY ${RISK_BAND_SQL}
+  `, where.params);
+  const byBand = new Map(bands.rows.map(r => [r.band, r]));
+
+  const hist = await db.query(`
+    SELECT LEAST(FLOOR(risk_score * 10), 9) AS bucket, COUNT(*) AS count
+    FROM transactions WHERE ${where.sql} AND risk_score IS NOT NULL
+    GROUP BY LEAST(FLOOR(risk_score * 10), 9)
+  `, where.params);
+  const histogram = Array.from({ length:10 }, (_, i) => ({ from:i / 10, to:(i + 1) / 10, count:0 }));
+  for(const r of hist.rows) histogram[Number(r.bucket)].count = Number(r.count);
+
+  return {
+    bands: RISK_BANDS.map(b => {
+      const row = byBand.get(b.id);
+      return { band:b.id, min:b.min, max:b.max, count: row ? Number(row.count) : 0, total: row ? round2(row.total) : 0 };
+    }),
+    histogram
+  };
+}
+
+const asObject = rows => Object.fromEntries(rows.map(r => [r.key, r.total]));
+
+// The full dashboard for a user. `group_by` picks the breakdown in `groups`;
+// byMonth and byCategory are always included.
+async function build(user_id, range, group_by = "month", limit = 500){
+  const where = whereFor(user_id, range);
+  const s = await summary(where);
+  const groups = await grouped(where, group_by, limit);
+  const byMonth = group_by === "month" ? groups : await grouped(where, "month", 1000);
+  const byCategory = group_by === "category" ? groups : await grouped(where, "category", 1000);
+
+  return {
+    from: range.from,
+    to: range.to,
+    group_by,
+    count: Number(s.count),
+    total: round2(s.total),
+    income: { total: round2(s.income), count: Number(s.income_count), average: maybe(s.income_avg), max: maybe(s.income_max) },
+    expense: { total: round2(s.expense), count: Number(s.expense_count), average: maybe(s.expense_avg), max: maybe(s.expense_max) },
+    average_transaction: maybe(s.avg_amount),
+    max_transaction: maybe(s.max_amount),
+    first_at: s.first_at,
+    last_at: s.last_at,
+    risk: {
+      average: maybe(s.avg_risk, 3),
+      max: maybe(s.max_risk, 3),
+      ...(await riskDistribution(where))
+    },
+    groups,
+    byMonth: asObject(byMonth),
+    byCategory: asObject(byCategory)
+  };
+}
+
+module.exports = {
+  RISK_BANDS,
+  GROUPS: Object.keys(GROUPS),
+  readRange,
+  build
+};
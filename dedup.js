@@ -0,0 +1,253 @@
+// dedup.js
+// Keeps imports idempotent.
+//
+// Every transaction carries a content fingerprint: a hash of user, day,
+// amount, merchant and account, plus which occurrence of that combination it
+// is within its file (":1", ":2"), so two identical coffees on one statement
+// stay two rows. (user_id, fingerprint) is unique, which makes re-importing a
+// file or an overlapping statement range insert nothing twice.
+//
+// A row that doesn't match exactly but looks like an existing transaction
+// from another import - same amount, same merchant, a few days apart (booking
+// vs value date, say) - is parked in pending_duplicates for the user to keep
+// or discard instead of being inserted.
+//
+// Whole files are hashed too, so uploading the same file again is answered
+// with the earlier import's job instead of queueing a new one.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const NEAR_DAYS = Number(process.env.DEDUP_WINDOW_DAYS || 3);
+
+// ---------- TABLES ----------
+async function initDedupTables(){
+  for(const c of ["fingerprint TEXT", "account TEXT", "external_id TEXT", "import_id TEXT"]){
+    await db.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS ${c}`);
+  }
+  await db.query("CREATE UNIQUE INDEX IF NOT EXISTS transactions_user_fingerprint ON transactions(user_id, fingerprint)");
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS imports(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      file_hash TEXT,
+      filename TEXT,
+      format TEXT,
+      job_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE UNIQUE INDEX IF NOT EXISTS imports_user_hash ON imports(user_id, file_hash)");
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS pending_duplicates(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      job_id TEXT,
+      line INTEGER,
+      tx JSONB,
+      match_id TEXT,
+      reason TEXT,
+      status TEXT DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS pending_duplicates_user ON pending_duplicates(user_id, status)");
+
+  await backfillFingerprints();
+}
+
+// ---------- FINGERPRINTS ----------
+const pad = n => String(n).padStart(2, "0");
+
+// Calendar day of a stored or parsed timestamp. TIMESTAMP columns come back
+// from pg as local-time Dates.
+function dayOf(ts){
+  if (ts instanceof Date) return `${ts.getFullYear()}-${pad(ts.getMonth() + 1)}-${pad(ts.getDate())}`;
+  return String(ts || "").slice(0, 10);
+}
+
+const normalizeMerchant = m => String(m || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+// Fingerprint without the occurrence suffix.
+function baseFingerprint(tx){
+  const parts = [
+    tx.user_id,
+    dayOf(tx.timestamp),
+    Number(tx.amount).toFixed(2),
+    normalizeMerchant(tx.merchant),
+    String(tx.account || "").replace(/\s+/g, "").toUpperCase()
+  ];
+  return crypto.createHash("sha256").update(parts.join("|")).digest("hex").slice(0, 32);
+}
+
+// Fingerprints for a file's transactions in order (null where a row has no
+// transaction), numbering repeats within the file.
+function fingerprintAll(txs){
+  const seen = new Map();
+  return txs.map(tx => {
+    if (!tx) return null;
+    const base = baseFingerprint(tx);
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return `${base}:${n}`;
+  });
+}
+
+// A manual entry is always new: it takes the next free occurrence.
+async function nextFingerprint(tx){
+  const base = baseFingerprint(tx);
+  const r = await db.query(
+    "SELECT COUNT(*) AS n FROM transactions WHERE user_id=$1 AND fingerprint LIKE $2",
+    [tx.user_id, base + ":%"]
+  );
+  return `${base}:${Number(r.rows[0].n) + 1}`;
+}
+
+async function exists(user_id, fingerprint){
+  const r = await db.query("SELECT id FROM transactions WHERE user_id=$1 AND fingerprint=$2", [user_id, fingerprint]);
+  return r.rows.length > 0;
+}
+
+// Highest occurrence number already stored for a fingerprint base.
+async function lastOccurrence(user_id, base){
+  const r = await db.query(
+    "SELECT fingerprint FROM transactions WHERE user_id=$1 AND fingerprint LIKE $2",
+    [user_id, base + ":%"]
+  );
+  return r.rows.reduce((max, row) => Math.max(max, Number(row.fingerprint.slice(base.length + 1)) || 0), 0);
+}
+
+// Rows from before fingerprints existed get one on startup, numbered in
+// timestamp order, so the first re-import after the upgrade is deduplicated too.
+// Numbering carries on after any occurrence already stored, so a backfill cut
+// short by a restart resumes without clashing. Runs under the server's init
+// lock (see initTables in server.js).
+async function backfillFingerprints(){
+  const last = new Map();
+  while(true){
+    const r = await db.query(`
+      SELECT id,user_id,amount,merchant,timestamp,account FROM transactions
+      WHERE fingerprint IS NULL ORDER BY user_id, timestamp, created_at LIMIT 1000
+    `);
+    if (!r.rows.length) return;
+    for(const tx of r.rows){
+      const base = baseFingerprint(tx);
+      if (!last.has(base)) last.set(base, await lastOccurrence(tx.user_id, base));
+      const n = last.get(base) + 1;
+      last.set(base, n);
+      await db.query("UPDATE transactions SET fingerprint=$2 WHERE id=$1 AND fingerprint IS NULL", [tx.id, `${base}:${n}`]);
+    }
+  }
+}
+
+// ---------- NEAR DUPLICATES ----------
+function shiftDays(ts, days){
+  const d = new Date(dayOf(ts) + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+const similarMerchant = (a, b) => {
+  const x = normalizeMerchant(a);
+  const y = normalizeMerchant(b);
+  return x === y || (x.length >= 4 && y.length >= 4 && (x.includes(y) || y.includes(x)));
+};
+
+// An existing transaction from another import with the same amount and a
+// similar merchant within NEAR_DAYS days, or null.
+async function findNearDuplicate(tx, import_id){
+  const r = await db.query(`
+    SELECT id,amount,merchant,timestamp,account FROM transactions
+    WHERE user_id=$1 AND amount=$2 AND timestamp >= $3 AND timestamp < $4
+      AND (import_id IS NULL OR import_id <> $5)
+    ORDER BY timestamp
+  `, [tx.user_id, tx.amount, shiftDays(tx.timestamp, -NEAR_DAYS), shiftDays(tx.timestamp, NEAR_DAYS + 1), import_id || ""]);
+  const match = r.rows.find(row => similarMerchant(row.merchant, tx.merchant)
+    && (!row.account || !tx.account || row.account === tx.account));
+  if (!match) return null;
+  const reason = dayOf(match.timestamp) === dayOf(tx.timestamp)
+    ? "same amount and merchant on the same day"
+    : `same amount and merchant ${dayOf(match.timestamp)} vs ${dayOf(tx.timestamp)}`;
+  return { match, reason };
+}
+
+// Parks a row for the user to confirm. A retried job flags the same line once.
+async function flag(tx, near, job_id, line){
+  const r = await db.query(
+    "SELECT id FROM pending_duplicates WHERE job_id=$1 AND line=$2",
+    [job_id, line]
+  );
+  if (r.rows.length) return r.rows[0].id;
+  const id = uuidv4();
+  await db.query(`
+    INSERT INTO pending_duplicates(id,user_id,job_id,line,tx,match_id,reason)
+    VALUES($1,$2,$3,$4,$5,$6,$7)
+  `, [id, tx.user_id, job_id, line, tx, near.match.id, near.reason]);
+  return id;
+}
+
+async function countFlagged(job_id){
+  const r = await db.query("SELECT COUNT(*) AS n FROM pending_duplicates WHERE job_id=$1", [job_id]);
+  return Number(r.rows[0].n);
+}
+
+async function listPending(user_id, status = "pending"){
+  const r = await db.query(`
+    SELECT d.id,d.job_id,d.line,d.tx,d.reason,d.status,d.created_at,d.resolved_at,
+      t.id AS match_id, t.amount AS match_amount, t.merchant AS match_merchant, t.timestamp AS match_timestamp
+    FROM pending_duplicates d LEFT JOIN transactions t ON t.id=d.match_id
+    WHERE d.user_id=$1 AND d.status=$2 ORDER BY d.created_at
+  `, [user_id, status]);
+  return r.rows;
+}
+
+async function getPending(id, user_id){
+  const r = await db.query("SELECT * FROM pending_duplicates WHERE id=$1 AND user_id=$2", [id, user_id]);
+  return r.rows[0] || null;
+}
+
+async function resolvePending(id, status){
+  await db.query(
+    "UPDATE pending_duplicates SET status=$2, resolved_at=CURRENT_TIMESTAMP WHERE id=$1",
+    [id, status]
+  );
+}
+
+// ---------- FILES ----------
+const hashFile = buf => crypto.createHash("sha256").update(buf).digest("hex");
+
+// The earlier import of the same file, unless its job died.
+async function findImport(user_id, file_hash){
+  const r = await db.query(`
+    SELECT i.*, j.status FROM imports i LEFT JOIN jobs j ON j.id=i.job_id
+    WHERE i.user_id=$1 AND i.file_hash=$2
+  `, [user_id, file_hash]);
+  const prior = r.rows[0];
+  return prior && prior.status !== "dead" ? prior : null;
+}
+
+async function recordImport(user_id, file_hash, job_id, format, filename){
+  await db.query(`
+    INSERT INTO imports(id,user_id,file_hash,filename,format,job_id) VALUES($1,$2,$3,$4,$5,$6)
+    ON CONFLICT (user_id, file_hash) DO UPDATE SET job_id=EXCLUDED.job_id, filename=EXCLUDED.filename,
+      format=EXCLUDED.format, created_at=CURRENT_TIMESTAMP
+  `, [uuidv4(), user_id, file_hash, filename || null, format, job_id]);
+}
+
+module.exports = {
+  initDedupTables,
+  fingerprintAll,
+  nextFingerprint,
+  exists,
+  findNearDuplicate,
+  flag,
+  countFlagged,
+  listPending,
+  getPending,
+  resolvePending,
+  hashFile,
+  findImport,
+  recordImport
+};
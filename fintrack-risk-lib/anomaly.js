@@ -0,0 +1,215 @@
+// Statistical anomaly detector: a second engine next to the rules.
+//
+// Where the rules look for known patterns, the detector asks how unlike its
+// context a transaction is, with four signals, each scored 0-1:
+//
+//   user_amount      robust z-score of the amount against the user's own
+//                    amounts: 0.6745 * (amount - median) / MAD. Only
+//                    amounts above the usual count. 0 at zThreshold, 1 at
+//                    zFull. Only spend (positive amounts) is scored, against
+//                    past spend; refunds and income are left alone.
+//   merchant_amount  the same against everyone's amounts at the merchant
+//                    (ctx.merchantHistory), so a 900 at a coffee shop
+//                    stands out even for a new user.
+//   merchant_hour    how rarely the merchant is used at this hour (within an
+//                    hour either side) in the merchant's history, or the
+//                    user's own when the merchant has too little. 1 when
+//                    never seen, falling to 0 at rareHourShare.
+//   category_shift   total variation distance between the user's category
+//                    mix over the last shiftWindowDays and the mix before,
+//                    when the transaction's category is one that grew. 0 at
+//                    shiftThreshold, 1 at a complete change.
+//
+// A signal stays at 0 until its context holds enough rows (minUserHistory,
+// minMerchantHistory, minShiftRows). The anomaly score combines the signals
+// as a noisy OR, 1 - prod(1 - weight_i * signal_i), so several weak signals
+// add up but one alone cannot exceed its weight.
+//
+// combine() merges the anomaly score into a rule score the same way:
+//
+//   score = 1 - (1 - rule_score) * (1 - anomalyWeight * anomaly_score)
+//
+// The anomaly score can only raise the rule score, by at most anomalyWeight
+// of the way to 1; with no anomaly the rule score is unchanged.
+//
+// ctx.history holds the user's past transactions (amount, merchant,
+// timestamp, category) and ctx.merchantHistory past transactions of anyone
+// at the transaction's merchant (amount, timestamp).
+
+const crypto = require('crypto');
+const pkg = require('./package.json');
+
+const ANOMALY_DEFAULTS = {
+  minUserHistory: 10,
+  minMerchantHistory: 20,
+  zThreshold: 3.5,
+  zFull: 10,
+  rareHourShare: 0.02,
+  shiftWindowDays: 30,
+  minShiftRows: 5,
+  shiftThreshold: 0.4,
+  userAmountWeight: 0.6,
+  merchantAmountWeight: 0.5,
+  merchantHourWeight: 0.3,
+  categoryShiftWeight: 0.3,
+  anomalyWeight: 0.5
+};
+
+const round = (n, d = 3) => Math.round(n * 10 ** d) / 10 ** d;
+const ramp = (v, from, to) => Math.min(1, Math.max(0, (v - from) / (to - from)));
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Robust z-score of x against values. When more than half the values are
+// equal the MAD is 0; the mean absolute deviation (scaled to match) stands
+// in, and if that is 0 too any other amount is an outlier.
+function robustZ(x, values) {
+  const med = median(values);
+  const mad = median(values.map(v => Math.abs(v - med)));
+  let scale = mad / 0.6745;
+  if (!scale) scale = values.reduce((s, v) => s + Math.abs(v - med), 0) / values.length * 1.2533;
+  const z = scale ? (x - med) / scale : (x === med ? 0 : Infinity);
+  return { z, median: med, mad };
+}
+
+const hourOf = ts => {
+  const d = new Date(ts);
+  return isNaN(d) ? null : d.getHours();
+};
+const key = s => (s || '').trim().toLowerCase();
+
+class AnomalyDetector {
+  constructor(opts = {}) {
+    this.cfg = { ...ANOMALY_DEFAULTS, ...opts };
+  }
+
+  amountSignal(id, tx, rows, min, weight) {
+    const amount = Number(tx.amount || 0);
+    if (!(amount > 0)) return { id, score: 0, weight, inputs: { amount, spend: false } };
+    const amounts = rows.map(r => Number(r.amount || 0)).filter(a => a > 0);
+    if (amounts.length < min) return { id, score: 0, weight, inputs: { rows: amounts.length, needed: min } };
+    const { z, median: med, mad } = robustZ(amount, amounts);
+    return {
+      id,
+      score: ramp(z, this.cfg.zThreshold, this.cfg.zFull),
+      weight,
+      inputs: { amount, median: med, mad: round(mad, 2), z: Number.isFinite(z) ? round(z, 2) : 'inf', rows: amounts.length }
+    };
+  }
+
+  merchantHour(tx, ctx) {
+    const weight = this.cfg.merchantHourWeight;
+    const hour = hourOf(tx.timestamp);
+    const merchant = key(tx.merchant);
+    let rows = ctx.merchantHistory || [];
+    let source = 'merchant';
+    if (rows.length < this.cfg.minMerchantHistory) {
+      rows = (ctx.history || []).filter(r => key(r.merchant) === merchant);
+      source = 'user';
+    }
+    const hours = rows.map(r => hourOf(r.timestamp)).filter(h => h !== null);
+    if (hour === null || hours.length < this.cfg.minUserHistory) {
+      return { id: 'merchant_hour', score: 0, weight, inputs: { hour, rows: hours.length, source } };
+    }
+    const near = hours.filter(h => Math.min((h - hour + 24) % 24, (hour - h + 24) % 24) <= 1).length;
+    const share = near / hours.length;
+    return {
+      id: 'merchant_hour',
+      score: share < this.cfg.rareHourShare ? 1 - share / this.cfg.rareHourShare : 0,
+      weight,
+      inputs: { merchant, hour, share: round(share), rows: hours.length, source }
+    };
+  }
+
+  categoryShift(tx, ctx) {
+    const weight = this.cfg.categoryShiftWeight;
+    const t = new Date(tx.timestamp).getTime();
+    const category = key(tx.category) || 'other';
+    if (isNaN(t)) return { id: 'category_shift', score: 0, weight, inputs: { category } };
+    const cut = t - this.cfg.shiftWindowDays * 24 * 60 * 60 * 1000;
+    const recent = [category];
+    const before = [];
+    for (const r of ctx.history || []) {
+      const rt = new Date(r.timestamp).getTime();
+      if (isNaN(rt) || rt > t) continue;
+      (rt >= cut ? recent : before).push(key(r.category) || 'other');
+    }
+    if (recent.length < this.cfg.minShiftRows || before.length < this.cfg.minUserHistory) {
+      return { id: 'category_shift', score: 0, weight, inputs: { category, recent_rows: recent.length, earlier_rows: before.length } };
+    }
+    const mix = list => {
+      const m = {};
+      for (const c of list) m[c] = (m[c] || 0) + 1 / list.length;
+      return m;
+    };
+    const now = mix(recent);
+    const was = mix(before);
+    const cats = new Set([...Object.keys(now), ...Object.keys(was)]);
+    const distance = [...cats].reduce((s, c) => s + Math.abs((now[c] || 0) - (was[c] || 0)), 0) / 2;
+    const grew = (now[category] || 0) > (was[category] || 0);
+    return {
+      id: 'category_shift',
+      score: grew ? ramp(distance, this.cfg.shiftThreshold, 1) : 0,
+      weight,
+      inputs: {
+        category,
+        distance: round(distance),
+        recent_share: round(now[category] || 0),
+        earlier_share: round(was[category] || 0),
+        recent_rows: recent.length,
+        earlier_rows: before.length
+      }
+    };
+  }
+
+  // Anomaly score plus every signal with what it saw.
+  explain(tx = {}, ctx = {}) {
+    const signals = [
+      this.amountSignal('user_amount', tx, ctx.history || [], this.cfg.minUserHistory, this.cfg.userAmountWeight),
+      this.amountSignal('merchant_amount', tx, ctx.merchantHistory || [], this.cfg.minMerchantHistory, this.cfg.merchantAmountWeight),
+      this.merchantHour(tx, ctx),
+      this.categoryShift(tx, ctx)
+    ];
+    const score = 1 - signals.reduce((p, s) => p * (1 - s.weight * s.score), 1);
+    return {
+      score: round(score),
+      version: this.version(),
+      signals: signals.map(s => ({
+        id: s.id,
+        fired: s.score > 0,
+        score: round(s.score),
+        weight: s.weight,
+        inputs: s.inputs
+      }))
+    };
+  }
+
+  score(tx = {}, ctx = {}) {
+    return this.explain(tx, ctx).score;
+  }
+
+  version() {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(this.cfg)).digest('hex').slice(0, 10);
+    return `${pkg.version}+${hash}`;
+  }
+
+  // The rule explanation with the anomaly merged in: `score` becomes the
+  // combined score, the rule score moves to `rule_score` and the anomaly
+  // explanation is kept under `anomaly`.
+  combine(ruleExplanation, anomaly) {
+    const w = this.cfg.anomalyWeight;
+    const score = 1 - (1 - ruleExplanation.score) * (1 - w * anomaly.score);
+    return {
+      ...ruleExplanation,
+      score: round(score),
+      rule_score: ruleExplanation.score,
+      anomaly: { ...anomaly, weight: w }
+    };
+  }
+}
+
+module.exports = { AnomalyDetector, ANOMALY_DEFAULTS, robustZ };
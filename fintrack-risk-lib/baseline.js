@@ -0,0 +1,114 @@
+// Per-user behavioural baseline for history-aware scoring.
+//
+// buildBaseline() summarises a user's past transactions (typical amount,
+// countries, merchants and active hours). The rules below score how far a new
+// transaction deviates from that summary; they stay silent when no baseline
+// is available, so scoring without history behaves exactly as before.
+
+function buildBaseline(history = [], cfg = {}) {
+  const rows = history.filter(Boolean);
+  if (rows.length < (cfg.baselineMinHistory || 1)) return null;
+
+  const amounts = rows.map(t => Math.abs(Number(t.amount || 0))).sort((a, b) => a - b);
+  const countries = {};
+  const merchants = {};
+  const hours = new Array(24).fill(0);
+  let timed = 0;
+
+  for (const t of rows) {
+    const c = (t.country || '').trim().toLowerCase();
+    if (c) countries[c] = (countries[c] || 0) + 1;
+    const m = (t.merchant || '').trim().toLowerCase();
+    if (m) merchants[m] = (merchants[m] || 0) + 1;
+    const d = new Date(t.timestamp);
+    if (!isNaN(d)) { hours[d.getHours()]++; timed++; }
+  }
+
+  return {
+    count: rows.length,
+    medianAmount: percentile(amounts, 0.5),
+    typicalAmount: percentile(amounts, cfg.baselineAmountPercentile || 0.95),
+    countries,
+    merchants,
+    hours,
+    timed
+  };
+}
+
+// Nearest-rank percentile over an ascending array.
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const i = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+  return sorted[i];
+}
+
+const amountDeviation = {
+  id: 'amount_deviation',
+  weightKey: 'amountDeviationWeight',
+  evaluate(tx, cfg, ctx) {
+    const b = ctx.baseline;
+    if (!b) return { contribution: 0, inputs: { baseline: false } };
+    const amount = Math.abs(Number(tx.amount || 0));
+    const typical = b.typicalAmount || 1;
+    const ratio = amount / typical;
+    const full = cfg.baselineAmountRatio;
+    const contribution = ratio <= 1 ? 0 : Math.min(1, (ratio - 1) / (full - 1)) * cfg.amountDeviationWeight;
+    return {
+      contribution,
+      inputs: { amount, typical_amount: typical, median_amount: b.medianAmount, ratio: Math.round(ratio * 100) / 100 }
+    };
+  }
+};
+
+const newCountry = {
+  id: 'new_country',
+  weightKey: 'newCountryPenalty',
+  evaluate(tx, cfg, ctx) {
+    const b = ctx.baseline;
+    if (!b) return { contribution: 0, inputs: { baseline: false } };
+    const country = (tx.country || '').trim().toLowerCase();
+    const seen = b.countries[country] || 0;
+    const contribution = country && !seen ? cfg.newCountryPenalty : 0;
+    return { contribution, inputs: { country, times_seen: seen, usual_countries: Object.keys(b.countries) } };
+  }
+};
+
+const newMerchant = {
+  id: 'new_merchant',
+  weightKey: 'newMerchantPenalty',
+  evaluate(tx, cfg, ctx) {
+    const b = ctx.baseline;
+    if (!b) return { contribution: 0, inputs: { baseline: false } };
+    const merchant = (tx.merchant || '').trim().toLowerCase();
+    const seen = b.merchants[merchant] || 0;
+    const contribution = merchant && !seen ? cfg.newMerchantPenalty : 0;
+    return { contribution, inputs: { merchant, times_seen: seen } };
+  }
+};
+
+const unusualHour = {
+  id: 'unusual_hour',
+  weightKey: 'unusualHourPenalty',
+  evaluate(tx, cfg, ctx) {
+    const b = ctx.baseline;
+    const t = new Date(tx.timestamp);
+    if (!b || !b.timed || isNaN(t)) return { contribution: 0, inputs: { baseline: !!b } };
+    const hour = t.getHours();
+    // Count the neighbouring hours too, so 21:55 vs 22:05 is not "unusual".
+    const near = b.hours[(hour + 23) % 24] + b.hours[hour] + b.hours[(hour + 1) % 24];
+    const share = near / b.timed;
+    const contribution = share < cfg.unusualHourShare ? cfg.unusualHourPenalty : 0;
+    return { contribution, inputs: { hour, share_of_activity: Math.round(share * 1000) / 1000 } };
+  }
+};
+
+const baselineRules = [amountDeviation, newCountry, newMerchant, unusualHour];
+
+module.exports = {
+  buildBaseline,
+  amountDeviation,
+  newCountry,
+  newMerchant,
+  unusualHour,
+  baselineRules
+};
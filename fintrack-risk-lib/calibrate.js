@@ -0,0 +1,314 @@
+// Offline evaluation and calibration of the risk engine against labeled
+// transactions (see cli.js for the command line).
+//
+// Input is a CSV with amount, country, merchant and timestamp columns, a
+// label column (fraud/1/true/yes or legitimate/0/false/no) and optionally
+// user_id. Rows with an empty label are context only: with user_id they feed
+// the history and velocity rules of that user's labeled rows, as the
+// server's own history would, but are not scored. The server's
+// GET /api/reviews/labels?format=csv export has this layout.
+//
+// Every built-in rule's contribution is linear in the config option named by
+// its `weightKey`, so rules are evaluated once with those options set to 1
+// and a candidate set of weights is scored as a weighted sum, clamped to 0-1
+// like the engine does. Calibration then:
+//   1. tries each rule threshold in THRESHOLD_GRID, keeping values that
+//      raise ROC-AUC,
+//   2. fits the weights by coordinate search over 0-1 in steps of 0.05,
+//      maximising ROC-AUC and preferring the current value on ties,
+//   3. picks the alert threshold with the best F1.
+// Fitting uses the older rows; the newest `holdout` share (default 30%) is
+// kept back to report honest metrics.
+
+const { RiskEstimator, DEFAULTS, buildBaseline } = require('./index');
+
+const WEIGHT_GRID = Array.from({ length: 21 }, (_, i) => i / 20);
+
+const THRESHOLD_GRID = {
+  highAmountThreshold: [250, 500, 1000, 2000, 5000],
+  baselineAmountRatio: [2, 3, 4, 6],
+  unusualHourShare: [0.02, 0.05, 0.1],
+  velocityMaxCount: [3, 4, 5, 7],
+  repeatMaxCount: [2, 3, 4],
+  burstMaxMerchants: [3, 4, 6],
+  travelMaxCountries: [2, 3]
+};
+
+const HISTORY_LIMIT = 500;
+
+// ---------- CSV ----------
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+const POSITIVE = ['fraud', 'confirmed-fraud', '1', 'true', 'yes', 'y'];
+const NEGATIVE = ['legitimate', 'legit', 'not fraud', '0', 'false', 'no', 'n'];
+
+// Reads labeled rows: { tx, label (1, 0 or null for context), user }.
+function readLabeledCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error('CSV is empty');
+  const cols = header.map(h => h.trim().toLowerCase());
+  const col = (...names) => names.map(n => cols.indexOf(n)).find(i => i >= 0);
+  const at = {
+    amount: col('amount'),
+    country: col('country'),
+    merchant: col('merchant'),
+    timestamp: col('timestamp', 'date'),
+    label: col('label', 'is_fraud', 'fraud'),
+    user: col('user_id', 'user')
+  };
+  for (const k of ['amount', 'timestamp', 'label']) {
+    if (at[k] === undefined) throw new Error(`CSV needs a ${k} column`);
+  }
+
+  return lines.map((f, i) => {
+    const get = k => (at[k] === undefined ? '' : (f[at[k]] || '').trim());
+    const raw = get('label').toLowerCase();
+    let label = null;
+    if (POSITIVE.includes(raw)) label = 1;
+    else if (NEGATIVE.includes(raw)) label = 0;
+    else if (raw) throw new Error(`line ${i + 2}: unknown label "${raw}"`);
+    const amount = Number(get('amount'));
+    if (!Number.isFinite(amount)) throw new Error(`line ${i + 2}: amount "${get('amount')}" is not a number`);
+    const timestamp = get('timestamp');
+    if (isNaN(new Date(timestamp))) throw new Error(`line ${i + 2}: timestamp "${timestamp}" is not a date`);
+    return {
+      tx: { amount, country: get('country'), merchant: get('merchant'), timestamp },
+      label,
+      user: get('user') || null
+    };
+  });
+}
+
+// ---------- FEATURES ----------
+// The scoring context for every labeled row: the same user's earlier rows
+// as history and their rows within the velocity horizon as recent.
+function buildContexts(rows, cfg) {
+  const est = new RiskEstimator(cfg);
+  const span = est.velocityHorizonMs();
+  const byUser = new Map();
+  rows.forEach((r, i) => {
+    r.time = new Date(r.tx.timestamp).getTime();
+    r.index = i;
+    if (!r.user) return;
+    if (!byUser.has(r.user)) byUser.set(r.user, []);
+    byUser.get(r.user).push(r);
+  });
+  for (const list of byUser.values()) list.sort((a, b) => a.time - b.time || a.index - b.index);
+
+  return rows.filter(r => r.label !== null).map(r => {
+    if (!r.user) return { row: r, ctx: {} };
+    const list = byUser.get(r.user);
+    const pos = list.indexOf(r);
+    const history = list.slice(Math.max(0, pos - HISTORY_LIMIT), pos).reverse().map(x => x.tx);
+    const recent = list.filter(x => x !== r && Math.abs(x.time - r.time) <= span).map(x => x.tx);
+    return { row: r, ctx: { history, recent, baseline: buildBaseline(history, est.cfg) } };
+  });
+}
+
+// Per labeled row, each weighted rule's contribution at weight 1, plus the
+// fixed contribution of rules without a weightKey.
+function extractFeatures(items, cfg) {
+  const probe = new RiskEstimator(cfg);
+  const keys = [...new Set(probe.rules.map(r => r.weightKey).filter(Boolean))];
+  const unit = new RiskEstimator({ ...cfg, ...Object.fromEntries(keys.map(k => [k, 1])) });
+  const byRule = new Map(unit.rules.map(r => [r.id, r.weightKey]));
+  return {
+    keys,
+    samples: items.map(({ row, ctx }) => {
+      const x = Object.fromEntries(keys.map(k => [k, 0]));
+      let fixed = 0;
+      for (const res of unit.evaluate(row.tx, ctx)) {
+        const key = byRule.get(res.id);
+        if (key) x[key] += res.contribution;
+        else fixed += res.contribution;
+      }
+      return { x, fixed, label: row.label, time: row.time };
+    })
+  };
+}
+
+// Clamped and rounded to three decimals, as the engine reports scores.
+const clamp = s => Math.round(Math.min(1, Math.max(0, s)) * 1000) / 1000;
+
+function scoresFor(samples, keys, weights) {
+  return samples.map(s => clamp(keys.reduce((sum, k) => sum + weights[k] * s.x[k], s.fixed)));
+}
+
+// ---------- METRICS ----------
+// ROC-AUC as the Mann-Whitney statistic, with tied scores sharing ranks.
+function rocAuc(scores, labels) {
+  const order = scores.map((s, i) => i).sort((a, b) => scores[a] - scores[b]);
+  const ranks = new Array(scores.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && scores[order[j + 1]] === scores[order[i]]) j++;
+    for (let k = i; k <= j; k++) ranks[order[k]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  const pos = labels.filter(l => l === 1).length;
+  const neg = labels.length - pos;
+  if (!pos || !neg) return null;
+  const sum = labels.reduce((s, l, i) => s + (l === 1 ? ranks[i] : 0), 0);
+  return (sum - pos * (pos + 1) / 2) / (pos * neg);
+}
+
+function atThreshold(scores, labels, threshold) {
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+  scores.forEach((s, i) => {
+    if (s >= threshold) labels[i] ? tp++ : fp++;
+    else labels[i] ? fn++ : tn++;
+  });
+  const precision = tp + fp ? tp / (tp + fp) : null;
+  const recall = tp + fn ? tp / (tp + fn) : null;
+  const f1 = precision && recall ? 2 * precision * recall / (precision + recall) : 0;
+  return { threshold, tp, fp, fn, tn, precision, recall, f1 };
+}
+
+// The alert threshold with the best F1 (the higher one on ties).
+function bestThreshold(scores, labels) {
+  let best = atThreshold(scores, labels, 1);
+  for (const t of [...new Set(scores)].sort((a, b) => b - a)) {
+    const m = atThreshold(scores, labels, t);
+    if (m.f1 > best.f1) best = m;
+  }
+  return best;
+}
+
+const round = (n, d = 3) => (n === null ? null : Math.round(n * 10 ** d) / 10 ** d);
+
+function report(scores, labels, threshold) {
+  const m = atThreshold(scores, labels, threshold);
+  return {
+    rows: labels.length,
+    fraud: labels.filter(l => l === 1).length,
+    roc_auc: round(rocAuc(scores, labels)),
+    threshold,
+    precision: round(m.precision),
+    recall: round(m.recall),
+    f1: round(m.f1),
+    confusion: { tp: m.tp, fp: m.fp, fn: m.fn, tn: m.tn }
+  };
+}
+
+// ---------- EVALUATE / FIT ----------
+function prepare(rows, cfg) {
+  return extractFeatures(buildContexts(rows, cfg), cfg);
+}
+
+// Metrics for a config (engine options) at an alert threshold.
+function evaluate(rows, cfg = {}, threshold = 0.7) {
+  const full = { ...DEFAULTS, ...cfg };
+  const { keys, samples } = prepare(rows, full);
+  return report(scoresFor(samples, keys, full), samples.map(s => s.label), threshold);
+}
+
+function splitByTime(samples, holdout) {
+  const sorted = [...samples].sort((a, b) => a.time - b.time);
+  const cut = Math.round(sorted.length * (1 - holdout));
+  return { train: sorted.slice(0, cut), test: holdout > 0 ? sorted.slice(cut) : sorted };
+}
+
+const aucOf = (samples, keys, weights) => rocAuc(scoresFor(samples, keys, weights), samples.map(s => s.label)) || 0;
+
+function fitWeights(samples, keys, start) {
+  const w = { ...start };
+  let best = aucOf(samples, keys, w);
+  for (let pass = 0; pass < 5; pass++) {
+    let improved = false;
+    for (const k of keys) {
+      for (const v of WEIGHT_GRID) {
+        if (v === w[k]) continue;
+        const auc = aucOf(samples, keys, { ...w, [k]: v });
+        const closer = Math.abs(v - start[k]) < Math.abs(w[k] - start[k]);
+        if (auc > best + 1e-9 || (Math.abs(auc - best) <= 1e-9 && closer)) {
+          if (auc > best + 1e-9) improved = true;
+          best = auc;
+          w[k] = v;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return w;
+}
+
+// Fits thresholds, weights and the alert threshold starting from `cfg`.
+// Returns { config, alert_threshold, before, after } where before/after are
+// holdout metrics of the starting and the fitted config.
+function calibrate(rows, cfg = {}, { threshold = 0.7, holdout = 0.3 } = {}) {
+  let current = { ...DEFAULTS, ...cfg };
+  const trainAuc = c => {
+    const { keys, samples } = prepare(rows, c);
+    return aucOf(splitByTime(samples, holdout).train, keys, c);
+  };
+
+  const start = prepare(rows, current);
+  if (!start.samples.some(s => s.label === 1) || !start.samples.some(s => s.label === 0)) {
+    throw new Error('need both fraud and legitimate rows to calibrate');
+  }
+  const startSplit = splitByTime(start.samples, holdout);
+  const before = report(scoresFor(startSplit.test, start.keys, current), startSplit.test.map(s => s.label), threshold);
+
+  // 1. Rule thresholds, one at a time against the current weights.
+  let bestAuc = trainAuc(current);
+  for (const [key, values] of Object.entries(THRESHOLD_GRID)) {
+    for (const v of values) {
+      if (v === current[key]) continue;
+      const auc = trainAuc({ ...current, [key]: v });
+      if (auc > bestAuc + 1e-9) { bestAuc = auc; current = { ...current, [key]: v }; }
+    }
+  }
+
+  // 2. Weights on the chosen thresholds' features.
+  const { keys, samples } = prepare(rows, current);
+  const { train, test } = splitByTime(samples, holdout);
+  current = { ...current, ...fitWeights(train, keys, current) };
+
+  // 3. Alert threshold.
+  const trainScores = scoresFor(train, keys, current);
+  const alert = bestThreshold(trainScores, train.map(s => s.label)).threshold;
+  const after = report(scoresFor(test, keys, current), test.map(s => s.label), alert);
+
+  const tuned = [...keys, ...Object.keys(THRESHOLD_GRID)];
+  return {
+    config: Object.fromEntries(tuned.map(k => [k, current[k]])),
+    alert_threshold: alert,
+    before,
+    after
+  };
+}
+
+module.exports = {
+  THRESHOLD_GRID,
+  parseCsv,
+  readLabeledCsv,
+  rocAuc,
+  atThreshold,
+  evaluate,
+  calibrate
+};
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// fintrack-risk - evaluate and calibrate the risk engine on labeled data.
+//
+//   fintrack-risk evaluate <labels.csv> [--config risk-config.json] [--threshold 0.7]
+//   fintrack-risk calibrate <labels.csv> [--config risk-config.json] [--out risk-config.json]
+//                           [--threshold 0.7] [--holdout 0.3]
+//
+// evaluate prints ROC-AUC and precision/recall at the alert threshold for a
+// config (the defaults without --config). calibrate fits rule weights,
+// thresholds and the alert threshold (see calibrate.js), prints the holdout
+// metrics before and after, and writes a config file that
+// `new RiskEstimator('<file>')` loads directly. The alert threshold goes in
+// the file's calibration block; a FinTrack server given the file as
+// RISK_CONFIG opens review cases from it unless REVIEW_THRESHOLD is set.
+
+const fs = require('fs');
+const path = require('path');
+const { readLabeledCsv, evaluate, calibrate } = require('./calibrate');
+
+const USAGE = `usage:
+  fintrack-risk evaluate <labels.csv> [--config file] [--threshold 0.7]
+  fintrack-risk calibrate <labels.csv> [--config file] [--out risk-config.json] [--threshold 0.7] [--holdout 0.3]`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) { args._.push(a); continue; }
+    const [key, inline] = a.slice(2).split('=', 2);
+    args[key] = inline !== undefined ? inline : argv[++i];
+  }
+  return args;
+}
+
+function readNumber(args, key, fallback, max) {
+  if (args[key] === undefined) return fallback;
+  const n = Number(args[key]);
+  if (!Number.isFinite(n) || n < 0 || n > max) throw new Error(`--${key} must be a number from 0 to ${max}`);
+  return n;
+}
+
+// Config files may carry a calibration block from an earlier run; only the
+// options are used as the starting point.
+function readConfig(file) {
+  if (!file) return {};
+  const { calibration, ...cfg } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return cfg;
+}
+
+const pct = n => (n === null ? '-' : (n * 100).toFixed(1) + '%');
+
+function printReport(title, r) {
+  const c = r.confusion;
+  console.log(`${title}`);
+  console.log(`  rows ${r.rows} (${r.fraud} fraud)   ROC-AUC ${r.roc_auc === null ? '-' : r.roc_auc}`);
+  console.log(`  at threshold ${r.threshold}: precision ${pct(r.precision)}  recall ${pct(r.recall)}  F1 ${r.f1}`);
+  console.log(`  tp ${c.tp}  fp ${c.fp}  fn ${c.fn}  tn ${c.tn}`);
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const [command, csv] = args._;
+  if (!['evaluate', 'calibrate'].includes(command) || !csv) {
+    console.error(USAGE);
+    return 2;
+  }
+  const rows = readLabeledCsv(fs.readFileSync(csv, 'utf8'));
+  const cfg = readConfig(args.config);
+  const threshold = readNumber(args, 'threshold', 0.7, 1);
+
+  if (command === 'evaluate') {
+    printReport(args.config ? `${args.config}` : 'default config', evaluate(rows, cfg, threshold));
+    return 0;
+  }
+
+  const holdout = readNumber(args, 'holdout', 0.3, 0.9);
+  const result = calibrate(rows, cfg, { threshold, holdout });
+  const label = holdout > 0 ? `holdout, newest ${Math.round(holdout * 100)}%` : 'all rows';
+  printReport(`current config (${label})`, result.before);
+  printReport(`calibrated config (${label})`, result.after);
+
+  const out = args.out || 'risk-config.json';
+  const file = {
+    ...cfg,
+    ...result.config,
+    calibration: {
+      created_at: new Date().toISOString(),
+      source: path.basename(csv),
+      rows: rows.filter(r => r.label !== null).length,
+      holdout,
+      alert_threshold: result.alert_threshold,
+      before: result.before,
+      after: result.after
+    }
+  };
+  fs.writeFileSync(out, JSON.stringify(file, null, 2) + '\n');
+  console.log(`\nwrote ${out} (alert threshold ${result.alert_threshold})`);
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`fintrack-risk: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main };
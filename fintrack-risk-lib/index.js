@@ -1,32 +1,153 @@
+// fintrack-risk-lib - rule-based risk engine shared by every FinTrack server.
+// Scores are normalized to 0-1 (three decimals).
+//
+// Pass { history: [...past transactions] } as the context to score against
+// the user's own baseline instead of the fixed thresholds (see baseline.js).
+// Velocity rules read { recent: [...rows around the transaction] }, falling
+// back to history (see velocity.js).
+//
+// The constructor takes config options, or the path of a JSON file of them
+// such as the calibration tool writes (see calibrate.js). A `calibration`
+// block in the options is kept as estimator.calibration and is not part of
+// the config. Rule sets (ruleset.js) describe the same options as a
+// validated JSON/YAML document; ruleset.toOptions() turns one into options.
+// AnomalyDetector (anomaly.js) is a separate statistical engine whose score
+// combines with the rule score.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const pkg = require('./package.json');
+const rules = require('./rules');
+const ruleset = require('./ruleset');
+const { buildBaseline } = require('./baseline');
+const { velocityHorizonMs } = require('./velocity');
+const { AnomalyDetector, ANOMALY_DEFAULTS } = require('./anomaly');
+
+const DEFAULTS = {
+  highAmountThreshold: 1000,
+  highAmountWeight: 1,
+  foreignCountryPenalty: 0.3,
+  safeCountries: ['ireland'],
+  offHoursStart: 0,
+  offHoursEnd: 5,
+  offHoursPenalty: 0.15,
+  suspiciousKeywords: ['casino', 'bet', 'lottery', 'unknown', 'transfer'],
+  keywordPenalty: 0.25,
+  merchantBlacklist: ['scamshop ltd', 'suspicious merchant'],
+  blacklistPenalty: 0.15,
+  baselineMinHistory: 10,
+  baselineAmountPercentile: 0.95,
+  baselineAmountRatio: 3,
+  amountDeviationWeight: 0.6,
+  newCountryPenalty: 0.3,
+  newMerchantPenalty: 0.1,
+  unusualHourShare: 0.05,
+  unusualHourPenalty: 0.15,
+  velocityWindowMinutes: 10,
+  velocityMaxCount: 5,
+  velocityPenalty: 0.4,
+  repeatWindowMinutes: 60,
+  repeatMaxCount: 3,
+  repeatPenalty: 0.25,
+  burstWindowMinutes: 30,
+  burstMaxMerchants: 4,
+  burstPenalty: 0.25,
+  travelWindowHours: 4,
+  travelMaxCountries: 2,
+  travelPenalty: 0.4
+};
+
 class RiskEstimator {
   constructor(opts = {}) {
-    this.highAmountThreshold = opts.highAmountThreshold ?? 1000;
-    this.foreignCountryPenalty = opts.foreignCountryPenalty ?? 0.3;
+    if (typeof opts === 'string') opts = JSON.parse(fs.readFileSync(opts, 'utf8'));
+    const { rules: ruleList = rules.defaultRules, calibration = null, ...cfg } = opts;
+    this.cfg = { ...DEFAULTS, ...cfg };
+    this.calibration = calibration;
+    this.rules = [];
+    for (const rule of ruleList) this.register(rule);
   }
 
-  scoreTransaction(tx = {}) {
-    const amount = Number(tx.amount || 0);
-    let score = 0;
+  // Adds a rule, replacing any registered rule with the same id.
+  register(rule) {
+    if (!rule || !rule.id || typeof rule.evaluate !== 'function') {
+      throw new TypeError('rule needs an id and an evaluate(tx, cfg, ctx) function');
+    }
+    this.unregister(rule.id);
+    this.rules.push(rule);
+    return this;
+  }
 
-    score += Math.min(1, amount / this.highAmountThreshold);
+  unregister(id) {
+    this.rules = this.rules.filter(r => r.id !== id);
+    return this;
+  }
 
-    const country = (tx.country || '').toLowerCase();
-    if (country && country !== 'ireland') score += this.foreignCountryPenalty;
+  // Runs every rule and returns their raw results, in registration order.
+  evaluate(tx = {}, ctx = {}) {
+    if (ctx.history && ctx.baseline === undefined) {
+      ctx = { ...ctx, baseline: buildBaseline(ctx.history, this.cfg) };
+    }
+    const ids = new Set(this.rules.map(r => r.id));
+    return this.rules.map(rule => {
+      if (rule.yieldsTo && ctx.baseline && ids.has(rule.yieldsTo)) {
+        return { id: rule.id, contribution: 0, inputs: { yielded_to: rule.yieldsTo } };
+      }
+      const { contribution = 0, inputs = {} } = rule.evaluate(tx, this.cfg, ctx) || {};
+      return { id: rule.id, contribution: Number(contribution) || 0, inputs };
+    });
+  }
 
-    const m = (tx.merchant || '').toLowerCase();
-    const suspicious = ['casino', 'bet', 'lottery', 'unknown', 'transfer'];
-    for (const s of suspicious) if (m.includes(s)) score += 0.25;
+  scoreTransaction(tx = {}, ctx = {}) {
+    return this.explain(tx, ctx).score;
+  }
 
-    try {
-      const h = new Date(tx.timestamp).getHours();
-      if (h >= 0 && h <= 5) score += 0.15;
-    } catch (e) {}
+  // Score plus the per-rule breakdown behind it: every rule is listed with
+  // whether it fired, what it contributed and the inputs it saw.
+  explain(tx = {}, ctx = {}) {
+    const results = this.evaluate(tx, ctx);
+    const total = results.reduce((s, r) => s + r.contribution, 0);
+    return {
+      score: normalize(total),
+      version: this.version(),
+      rules: results.map(r => ({
+        id: r.id,
+        fired: r.contribution !== 0,
+        contribution: Math.round(r.contribution * 1000) / 1000,
+        inputs: r.inputs
+      }))
+    };
+  }
 
-    if (score > 1) score = 1;
-    if (score < 0) score = 0;
+  // Alias kept for callers of the old fintrack-risk-mahesh package.
+  score(tx = {}, ctx = {}) {
+    return this.scoreTransaction(tx, ctx);
+  }
+
+  batchScore(list = [], ctx = {}) {
+    return list.map(tx => this.scoreTransaction(tx, ctx));
+  }
 
-    return Math.round(score * 1000) / 1000;
+  // Identifies the rule set that produced a score: the library version plus a
+  // short hash of the registered rule ids and the config. Tuning any weight
+  // or threshold therefore yields a new version.
+  version() {
+    const hash = crypto.createHash('sha1')
+      .update(JSON.stringify({ rules: this.rules.map(r => r.id), cfg: this.cfg }))
+      .digest('hex')
+      .slice(0, 10);
+    return `${pkg.version}+${hash}`;
   }
+
+  // How far either side of a transaction the velocity rules look, in ms.
+  velocityHorizonMs() {
+    return velocityHorizonMs(this.cfg);
+  }
+}
+
+function normalize(score) {
+  if (score > 1) score = 1;
+  if (score < 0) score = 0;
+  return Math.round(score * 1000) / 1000;
 }
 
-module.exports = { RiskEstimator };
+module.exports = { RiskEstimator, AnomalyDetector, DEFAULTS, ANOMALY_DEFAULTS, rules, ruleset, buildBaseline };
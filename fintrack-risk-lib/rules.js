@@ -0,0 +1,80 @@
+// Built-in scoring rules for the FinTrack risk engine.
+//
+// A rule is a plain object { id, evaluate(tx, cfg, ctx) }. evaluate() returns
+// { contribution, inputs }: contribution is on the engine's 0-1 scale (0 means
+// the rule did not fire) and inputs records what the rule looked at.
+// A rule with `yieldsTo` is skipped when the caller supplied a user baseline
+// and the named history-aware rule is registered. `weightKey` names the
+// config option its contribution scales with, which is what the calibration
+// tool tunes (see calibrate.js).
+
+const { baselineRules } = require('./baseline');
+const { velocityRules } = require('./velocity');
+
+const largeAmount = {
+  id: 'large_amount',
+  weightKey: 'highAmountWeight',
+  yieldsTo: 'amount_deviation',
+  evaluate(tx, cfg) {
+    const amount = Math.abs(Number(tx.amount || 0));
+    const threshold = cfg.highAmountThreshold;
+    const contribution = Math.min(1, amount / threshold) * cfg.highAmountWeight;
+    return { contribution, inputs: { amount, threshold } };
+  }
+};
+
+const foreignCountry = {
+  id: 'foreign_country',
+  weightKey: 'foreignCountryPenalty',
+  yieldsTo: 'new_country',
+  evaluate(tx, cfg) {
+    const country = (tx.country || '').trim().toLowerCase();
+    const safe = cfg.safeCountries.map(c => c.toLowerCase());
+    const contribution = country && !safe.includes(country) ? cfg.foreignCountryPenalty : 0;
+    return { contribution, inputs: { country, safe_countries: safe } };
+  }
+};
+
+const offHours = {
+  id: 'off_hours',
+  weightKey: 'offHoursPenalty',
+  yieldsTo: 'unusual_hour',
+  evaluate(tx, cfg) {
+    const t = new Date(tx.timestamp);
+    if (isNaN(t)) return { contribution: 0, inputs: { hour: null } };
+    const hour = t.getHours();
+    const contribution = hour >= cfg.offHoursStart && hour <= cfg.offHoursEnd ? cfg.offHoursPenalty : 0;
+    return { contribution, inputs: { hour, window: [cfg.offHoursStart, cfg.offHoursEnd] } };
+  }
+};
+
+const merchantKeywords = {
+  id: 'merchant_keywords',
+  weightKey: 'keywordPenalty',
+  evaluate(tx, cfg) {
+    const merchant = (tx.merchant || '').toLowerCase();
+    const matched = cfg.suspiciousKeywords.filter(k => merchant.includes(k));
+    return { contribution: matched.length * cfg.keywordPenalty, inputs: { merchant, matched } };
+  }
+};
+
+const merchantBlacklist = {
+  id: 'merchant_blacklist',
+  weightKey: 'blacklistPenalty',
+  evaluate(tx, cfg) {
+    const merchant = (tx.merchant || '').trim().toLowerCase();
+    const listed = cfg.merchantBlacklist.map(m => m.toLowerCase()).includes(merchant);
+    return { contribution: listed ? cfg.blacklistPenalty : 0, inputs: { merchant } };
+  }
+};
+
+const defaultRules = [largeAmount, foreignCountry, offHours, merchantKeywords, merchantBlacklist, ...baselineRules, ...velocityRules];
+
+module.exports = {
+  largeAmount,
+  foreignCountry,
+  offHours,
+  merchantKeywords,
+  merchantBlacklist,
+  defaultRules
+};
@@ -0,0 +1,190 @@
+// Declarative rule sets: the lists, rules and weights of the engine as a
+// JSON (or YAML) document instead of constructor options.
+//
+//   name: default
+//   lists:
+//     safe_countries: [ireland]
+//     suspicious_keywords: [casino, bet, lottery]
+//     merchant_blacklist: [scamshop ltd]
+//   baseline: { min_history: 10, amount_percentile: 0.95 }
+//   rules:
+//     large_amount: { weight: 1, threshold: 1000 }
+//     off_hours: { enabled: false }
+//     transaction_velocity: { weight: 0.4, window_minutes: 10, max_count: 5 }
+//
+// Every section and field is optional; anything left out keeps the base
+// options (the library defaults unless the caller passes others). `weight`
+// is the option named by the rule's weightKey; a disabled rule is not
+// registered at all. SCHEMA is a JSON Schema of the format and validate()
+// checks a document against it, returning a list of "path: problem" strings.
+
+const rules = require('./rules');
+
+// Rule parameters and the config options they set.
+const PARAMS = {
+  large_amount: { threshold: ['highAmountThreshold', { type: 'number', exclusiveMinimum: 0 }] },
+  foreign_country: {},
+  off_hours: {
+    start_hour: ['offHoursStart', { type: 'integer', minimum: 0, maximum: 23 }],
+    end_hour: ['offHoursEnd', { type: 'integer', minimum: 0, maximum: 23 }]
+  },
+  merchant_keywords: {},
+  merchant_blacklist: {},
+  amount_deviation: { ratio: ['baselineAmountRatio', { type: 'number', exclusiveMinimum: 1 }] },
+  new_country: {},
+  new_merchant: {},
+  unusual_hour: { min_share: ['unusualHourShare', { type: 'number', minimum: 0, maximum: 1 }] },
+  transaction_velocity: {
+    window_minutes: ['velocityWindowMinutes', { type: 'number', exclusiveMinimum: 0 }],
+    max_count: ['velocityMaxCount', { type: 'integer', minimum: 2 }]
+  },
+  repeated_amount: {
+    window_minutes: ['repeatWindowMinutes', { type: 'number', exclusiveMinimum: 0 }],
+    max_count: ['repeatMaxCount', { type: 'integer', minimum: 2 }]
+  },
+  merchant_burst: {
+    window_minutes: ['burstWindowMinutes', { type: 'number', exclusiveMinimum: 0 }],
+    max_merchants: ['burstMaxMerchants', { type: 'integer', minimum: 2 }]
+  },
+  impossible_travel: {
+    window_hours: ['travelWindowHours', { type: 'number', exclusiveMinimum: 0 }],
+    max_countries: ['travelMaxCountries', { type: 'integer', minimum: 2 }]
+  }
+};
+
+const LISTS = {
+  safe_countries: 'safeCountries',
+  suspicious_keywords: 'suspiciousKeywords',
+  merchant_blacklist: 'merchantBlacklist'
+};
+
+const BASELINE = {
+  min_history: ['baselineMinHistory', { type: 'integer', minimum: 1 }],
+  amount_percentile: ['baselineAmountPercentile', { type: 'number', exclusiveMinimum: 0, maximum: 1 }]
+};
+
+const byId = new Map(rules.defaultRules.map(r => [r.id, r]));
+
+const section = (props) => ({
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(Object.entries(props).map(([k, [, schema]]) => [k, schema]))
+});
+
+const SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'fintrack-risk-lib rule set',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 1000 },
+    lists: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(LISTS).map(k => [k, {
+        type: 'array',
+        maxItems: 1000,
+        items: { type: 'string', minLength: 1, maxLength: 200 }
+      }]))
+    },
+    baseline: section(BASELINE),
+    rules: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.entries(PARAMS).map(([id, params]) => {
+        const s = section(params);
+        s.properties = { enabled: { type: 'boolean' }, weight: { type: 'number', minimum: 0, maximum: 1 }, ...s.properties };
+        return [id, s];
+      }))
+    }
+  }
+};
+
+// ---------- VALIDATION ----------
+// Covers the JSON Schema keywords SCHEMA uses.
+const TYPE_NAMES = {
+  object: 'an object', array: 'a list', string: 'a string', number: 'a number', integer: 'an integer', boolean: 'true or false'
+};
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function check(v, schema, path, errors) {
+  const type = typeOf(v);
+  const ok = schema.type === type || (schema.type === 'number' && type === 'integer');
+  if (!ok) {
+    errors.push(`${path}: must be ${TYPE_NAMES[schema.type]}`);
+    return;
+  }
+  if (type === 'object') {
+    for (const [k, sub] of Object.entries(v)) {
+      const p = `${path}.${k}`;
+      if (schema.properties && schema.properties[k]) check(sub, schema.properties[k], p, errors);
+      else if (schema.additionalProperties === false) errors.push(`${p}: unknown field`);
+    }
+  } else if (type === 'array') {
+    if (schema.maxItems !== undefined && v.length > schema.maxItems) errors.push(`${path}: at most ${schema.maxItems} items`);
+    if (schema.items) v.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+  } else if (type === 'string') {
+    if (schema.minLength !== undefined && v.length < schema.minLength) errors.push(`${path}: must not be empty`);
+    if (schema.maxLength !== undefined && v.length > schema.maxLength) errors.push(`${path}: at most ${schema.maxLength} characters`);
+  } else if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && v < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && v > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && v <= schema.exclusiveMinimum) errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+  }
+}
+
+function validate(doc) {
+  const errors = [];
+  check(doc, SCHEMA, 'ruleset', errors);
+  return errors;
+}
+
+// ---------- CONVERSION ----------
+// Engine options for a valid document, on top of `base`.
+function toOptions(doc, base = {}) {
+  const opts = { ...base };
+  for (const [k, key] of Object.entries(LISTS)) {
+    if (doc.lists && doc.lists[k]) opts[key] = [...doc.lists[k]];
+  }
+  for (const [k, [key]] of Object.entries(BASELINE)) {
+    if (doc.baseline && doc.baseline[k] !== undefined) opts[key] = doc.baseline[k];
+  }
+  const disabled = new Set();
+  for (const [id, settings] of Object.entries(doc.rules || {})) {
+    if (settings.enabled === false) disabled.add(id);
+    if (settings.weight !== undefined) opts[byId.get(id).weightKey] = settings.weight;
+    for (const [k, [key]] of Object.entries(PARAMS[id])) {
+      if (settings[k] !== undefined) opts[key] = settings[k];
+    }
+  }
+  opts.rules = rules.defaultRules.filter(r => !disabled.has(r.id));
+  return opts;
+}
+
+// The full document for a config, e.g. an estimator's cfg and rule ids.
+function fromOptions(cfg, enabled = rules.defaultRules.map(r => r.id)) {
+  const on = new Set(enabled);
+  return {
+    lists: Object.fromEntries(Object.entries(LISTS).map(([k, key]) => [k, [...cfg[key]]])),
+    baseline: Object.fromEntries(Object.entries(BASELINE).map(([k, [key]]) => [k, cfg[key]])),
+    rules: Object.fromEntries(Object.entries(PARAMS).map(([id, params]) => [id, {
+      enabled: on.has(id),
+      weight: cfg[byId.get(id).weightKey],
+      ...Object.fromEntries(Object.entries(params).map(([k, [key]]) => [k, cfg[key]]))
+    }]))
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  validate,
+  toOptions,
+  fromOptions
+};
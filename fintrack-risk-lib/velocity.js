@@ -0,0 +1,83 @@
+// Velocity and burst rules.
+//
+// These look at the user's transactions around the one being scored, taken
+// from ctx.recent (or ctx.history when no separate recent list is given).
+// Windows are measured either side of the transaction's timestamp, so rows
+// imported out of order from a statement are still caught.
+
+function neighbours(tx, ctx, minutes) {
+  const t = new Date(tx.timestamp).getTime();
+  if (isNaN(t)) return null;
+  const span = minutes * 60 * 1000;
+  return (ctx.recent || ctx.history || []).filter(r => {
+    const rt = new Date(r.timestamp).getTime();
+    return !isNaN(rt) && Math.abs(rt - t) <= span;
+  });
+}
+
+// Widest window any velocity rule looks at, in milliseconds. Callers use it
+// to decide how many rows around a transaction to load.
+function velocityHorizonMs(cfg) {
+  const minutes = Math.max(cfg.velocityWindowMinutes, cfg.repeatWindowMinutes, cfg.burstWindowMinutes, cfg.travelWindowHours * 60);
+  return minutes * 60 * 1000;
+}
+
+const transactionVelocity = {
+  id: 'transaction_velocity',
+  weightKey: 'velocityPenalty',
+  evaluate(tx, cfg, ctx) {
+    const near = neighbours(tx, ctx, cfg.velocityWindowMinutes);
+    if (!near) return { contribution: 0, inputs: { timestamp: null } };
+    const count = near.length + 1;
+    const contribution = count >= cfg.velocityMaxCount ? cfg.velocityPenalty : 0;
+    return { contribution, inputs: { count, limit: cfg.velocityMaxCount, window_minutes: cfg.velocityWindowMinutes } };
+  }
+};
+
+const repeatedAmount = {
+  id: 'repeated_amount',
+  weightKey: 'repeatPenalty',
+  evaluate(tx, cfg, ctx) {
+    const near = neighbours(tx, ctx, cfg.repeatWindowMinutes);
+    if (!near) return { contribution: 0, inputs: { timestamp: null } };
+    const amount = Number(tx.amount || 0);
+    const count = near.filter(r => Number(r.amount || 0) === amount).length + 1;
+    const contribution = count >= cfg.repeatMaxCount ? cfg.repeatPenalty : 0;
+    return { contribution, inputs: { amount, count, limit: cfg.repeatMaxCount, window_minutes: cfg.repeatWindowMinutes } };
+  }
+};
+
+const merchantBurst = {
+  id: 'merchant_burst',
+  weightKey: 'burstPenalty',
+  evaluate(tx, cfg, ctx) {
+    const near = neighbours(tx, ctx, cfg.burstWindowMinutes);
+    if (!near) return { contribution: 0, inputs: { timestamp: null } };
+    const merchants = new Set(near.concat(tx).map(r => (r.merchant || '').trim().toLowerCase()).filter(Boolean));
+    const contribution = merchants.size >= cfg.burstMaxMerchants ? cfg.burstPenalty : 0;
+    return { contribution, inputs: { distinct_merchants: merchants.size, limit: cfg.burstMaxMerchants, window_minutes: cfg.burstWindowMinutes } };
+  }
+};
+
+const impossibleTravel = {
+  id: 'impossible_travel',
+  weightKey: 'travelPenalty',
+  evaluate(tx, cfg, ctx) {
+    const near = neighbours(tx, ctx, cfg.travelWindowHours * 60);
+    if (!near) return { contribution: 0, inputs: { timestamp: null } };
+    const countries = [...new Set(near.concat(tx).map(r => (r.country || '').trim().toLowerCase()).filter(Boolean))];
+    const contribution = countries.length >= cfg.travelMaxCountries ? cfg.travelPenalty : 0;
+    return { contribution, inputs: { countries, limit: cfg.travelMaxCountries, window_hours: cfg.travelWindowHours } };
+  }
+};
+
+const velocityRules = [transactionVelocity, repeatedAmount, merchantBurst, impossibleTravel];
+
+module.exports = {
+  velocityHorizonMs,
+  transactionVelocity,
+  repeatedAmount,
+  merchantBurst,
+  impossibleTravel,
+  velocityRules
+};
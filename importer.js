@@ -0,0 +1,283 @@
+// importer.js
+// parse_csv and parse_statement job handlers: read an uploaded CSV, or an
+// OFX/QFX, QIF or CAMT.053 statement (see statements.js), score every row and
+// insert it into transactions.
+//
+// Rows are checked one by one. A row whose amount or date cannot be read is
+// skipped; a row that needed a default (missing merchant, country) is
+// inserted with a warning. Both are written to import_issues with their line
+// number, so the import report can hand the user back exactly the rows to fix.
+// Which column holds what comes from the job's mapping (see mappings.js).
+
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const scoring = require('./scoring');
+const mappings = require('./mappings');
+const statements = require('./statements');
+const dedup = require('./dedup');
+const categories = require('./categories');
+const budgets = require('./budgets');
+const webhooks = require('./webhooks');
+const storage = require('./storage');
+const { parseAmount, parseDate } = require('./parsing');
+const { toCsv } = require('./csv');
+
+function parseCsv(text, opts = {}){
+  return parse(text, { columns:true, skip_empty_lines:true, relax_column_count:true, info:true, bom:true, ...opts });
+}
+
+// Header row of a CSV file, as written.
+function readHeaders(text){
+  const rows = parse(text, { to_line:1, relax_column_count:true, bom:true });
+  return rows.length ? rows[0].map(h => String(h).trim()) : [];
+}
+
+async function initImportTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS import_issues(
+      id TEXT PRIMARY KEY,
+      job_id TEXT,
+      line INTEGER,
+      severity TEXT,
+      reason TEXT,
+      raw JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE UNIQUE INDEX IF NOT EXISTS import_issues_job_line ON import_issues(job_id, line, reason)");
+}
+
+// Spend-positive amount from either the amount column or debit/credit ones,
+// read in the mapping's locale.
+function readAmount(value, cols, errors){
+  const parseNumber = raw => parseAmount(raw, cols);
+  if (cols.amount){
+    const raw = value(cols.amount);
+    if (!raw) return errors.push("amount missing"), null;
+    const n = parseNumber(raw);
+    if (n === null) return errors.push(`amount "${raw}" is not a number`), null;
+    return cols.negate ? -n : n;
+  }
+
+  const debit = value(cols.debit);
+  const credit = value(cols.credit);
+  if (!debit && !credit) return errors.push("debit and credit both empty"), null;
+  const d = debit ? parseNumber(debit) : 0;
+  const c = credit ? parseNumber(credit) : 0;
+  if (d === null) return errors.push(`debit "${debit}" is not a number`), null;
+  if (c === null) return errors.push(`credit "${credit}" is not a number`), null;
+  return Math.abs(d) - Math.abs(c);
+}
+
+// Turns one CSV record into a transaction using the column mapping. Returns
+// { tx, errors, warnings }; tx is null when the row has to be skipped.
+function readRow(record, cols, user_id){
+  const errors = [];
+  const warnings = [];
+  const value = col => col ? String(record[col] ?? "").trim() : "";
+
+  const amount = readAmount(value, cols, errors);
+
+  const rawDate = value(cols.date);
+  const timestamp = rawDate ? parseDate(rawDate, cols) : null;
+  if (!rawDate) errors.push("date missing");
+  else if (!timestamp) errors.push(`date "${rawDate}" is not a valid date` + (cols.date_format ? ` (expected ${cols.date_format})` : ""));
+
+  let merchant = value(cols.merchant);
+  if (!merchant){
+    merchant = "unknown";
+    if (cols.merchant) warnings.push("merchant missing, stored as unknown");
+  }
+
+  let country = value(cols.country);
+  if (!country){
+    country = cols.default_country || "Ireland";
+    if (cols.country) warnings.push(`country missing, defaulted to ${country}`);
+  }
+
+  if (errors.length) return { tx:null, errors, warnings };
+  return { tx:{ user_id, amount, country, merchant, timestamp }, errors, warnings };
+}
+
+async function recordIssue(job_id, line, severity, reason, raw){
+  await db.query(`
+    INSERT INTO import_issues(id,job_id,line,severity,reason,raw)
+    VALUES($1,$2,$3,$4,$5,$6)
+    ON CONFLICT (job_id, line, reason) DO NOTHING
+  `, [uuidv4(), job_id, line, severity, reason, raw]);
+}
+
+// Categorises, scores and inserts already-read entries ({ line, tx, errors,
+// warnings, row }), recording their issues. Rows already imported (same
+// fingerprint) are passed over; rows that look like an existing transaction
+// are parked for the user to confirm. A retried job carries on after the
+// entries its earlier attempt handled.
+async function importEntries(job, ctx, entries){
+  const p = job.payload;
+  const start = Math.min(job.rows_processed || 0, entries.length);
+  await ctx.progress(start, entries.length);
+
+  for(const e of entries) if (e.tx) e.tx.user_id = p.user_id;
+  const prints = dedup.fingerprintAll(entries.map(e => e.tx));
+
+  const history = await scoring.loadHistory(p.user_id);
+  const rules = await categories.loadRules(p.user_id);
+  const hooks = await webhooks.forUser(p.user_id);
+  for(let i=start; i<entries.length; i++){
+    const { line, tx, errors, warnings, row } = entries[i];
+    for(const reason of errors) await recordIssue(job.id, line, "error", reason, row);
+    for(const reason of warnings) await recordIssue(job.id, line, "warning", reason, row);
+
+    if (tx){
+      tx.fingerprint = prints[i];
+      tx.import_id = job.id;
+      if (!await dedup.exists(p.user_id, tx.fingerprint)){
+        const near = await dedup.findNearDuplicate(tx, job.id);
+        if (near){
+          await dedup.flag(tx, near, job.id, line);
+        } else {
+          await categories.assign(tx, rules);
+          const explanation = await scoring.scoreTransaction(tx, history);
+          // Newest first and no longer than a fresh load would be.
+          if (history){
+            history.unshift(tx);
+            if (history.length > scoring.HISTORY_LIMIT) history.pop();
+          }
+          const id = uuidv4();
+          if (await scoring.insertTransaction(id, tx, explanation)) await webhooks.trigger(id, tx, explanation, hooks);
+        }
+      }
+    }
+    await ctx.progress(i + 1);
+  }
+
+  await budgets.checkAlerts(p.user_id, entries.filter(e => e.tx).map(e => e.tx.timestamp));
+
+  const counts = await issueCounts(job.id);
+  const inserted = await countInserted(job.id);
+  const flagged = await dedup.countFlagged(job.id);
+  return {
+    rows: entries.length,
+    inserted,
+    skipped: counts.skipped,
+    warned: counts.warned,
+    duplicates: entries.length - counts.skipped - inserted - flagged,
+    flagged,
+    resumed_from: start
+  };
+}
+
+async function countInserted(job_id){
+  const r = await db.query("SELECT COUNT(*) AS n FROM transactions WHERE import_id=$1", [job_id]);
+  return Number(r.rows[0].n);
+}
+
+// The uploaded file's text. Jobs queued before uploads went to storage.js
+// carry a local path instead of a storage key.
+async function readUpload(p){
+  const buffer = p.storage_key
+    ? await storage.driver(p.storage_driver).get(p.storage_key)
+    : fs.readFileSync(p.local_path);
+  return buffer.toString("utf8");
+}
+
+// Cleanup for the import jobs: the upload goes once the job is finished.
+async function removeUpload(job){
+  const p = job.payload;
+  if (p.storage_key) await storage.driver(p.storage_driver).remove(p.storage_key);
+  else if (p.local_path) await fs.promises.rm(p.local_path, { force:true });
+}
+
+async function parseCsvJob(job, ctx){
+  const p = job.payload;
+  const text = await readUpload(p);
+  const parsed = parseCsv(text);
+  const headers = readHeaders(text);
+  // Jobs queued before mappings existed carry none; guess as uploads do.
+  const cols = p.mapping || mappings.resolveMapping(headers).mapping;
+
+  const entries = parsed.map(({ record, info }) => {
+    const { tx, errors, warnings } = readRow(record, cols, p.user_id);
+    if (info.error) warnings.push(`row has ${info.error.record.length} fields, header has ${headers.length}`);
+    return { line:info.lines, tx, errors, warnings, row:record };
+  });
+  const result = await importEntries(job, ctx, entries);
+  return { ...result, format:"csv", columns: headers, mapping: cols };
+}
+
+// Field names of a statement's raw entries, in first-seen order, so the
+// report has stable columns.
+function entryColumns(entries){
+  const columns = [];
+  for(const e of entries) for(const k of Object.keys(e.row || {})) if (!columns.includes(k)) columns.push(k);
+  return columns;
+}
+
+async function parseStatementJob(job, ctx){
+  const p = job.payload;
+  const text = await readUpload(p);
+  const entries = statements.parseStatement(p.format, text, p.options || {});
+  const result = await importEntries(job, ctx, entries);
+  return { ...result, format: p.format, columns: entryColumns(entries) };
+}
+
+// Parses the first `limit` rows with a mapping without storing anything.
+function previewCsv(text, mapping, limit = 10){
+  const parsed = parseCsv(text, { to_line: limit + 1 });
+  return parsed.map(({ record, info }) => {
+    const { tx, errors, warnings } = readRow(record, mapping, null);
+    if (tx) delete tx.user_id;
+    return { line:info.lines, tx, errors, warnings, row:record };
+  });
+}
+
+// Rows with at least one error were skipped; rows with only warnings were
+// inserted with defaults.
+async function issueCounts(job_id){
+  const r = await db.query(`
+    SELECT line, MAX(CASE WHEN severity='error' THEN 1 ELSE 0 END) AS has_error
+    FROM import_issues WHERE job_id=$1 GROUP BY line
+  `, [job_id]);
+  const skipped = r.rows.filter(x => Number(x.has_error) === 1).length;
+  return { skipped, warned: r.rows.length - skipped };
+}
+
+// ---------- REPORT ----------
+// One entry per problem line: its status, every reason and the original row.
+async function importReport(job_id, status){
+  const r = await db.query(
+    "SELECT line,severity,reason,raw FROM import_issues WHERE job_id=$1 ORDER BY line, created_at",
+    [job_id]
+  );
+  const byLine = new Map();
+  for(const row of r.rows){
+    const entry = byLine.get(row.line) || { line:row.line, status:"warned", reasons:[], row:row.raw };
+    if (row.severity === "error") entry.status = "skipped";
+    entry.reasons.push(row.reason);
+    byLine.set(row.line, entry);
+  }
+  const entries = [...byLine.values()];
+  return status ? entries.filter(e => e.status === status) : entries;
+}
+
+// The original columns come first, so the file can be fixed and uploaded
+// again as is; the importer ignores the trailing _line/_status/_reason.
+// Cells escaped against formulas (see csv.js) keep their leading '.
+function reportToCsv(entries, columns){
+  return toCsv(
+    [...columns, "_line", "_status", "_reason"],
+    entries.map(e => [...columns.map(c => e.row[c]), e.line, e.status, e.reasons.join("; ")])
+  );
+}
+
+module.exports = {
+  readHeaders,
+  initImportTables,
+  parseCsvJob,
+  parseStatementJob,
+  removeUpload,
+  previewCsv,
+  importReport,
+  reportToCsv
+};
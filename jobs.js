@@ -0,0 +1,247 @@
+// jobs.js
+// Background job queue on the Postgres `jobs` table.
+//
+// Lifecycle:
+//   pending -> processing -> succeeded
+//                         -> failed  (retried after an exponential backoff)
+//                         -> dead    (attempts exhausted; needs a human)
+//
+// Handlers are registered per job type and receive (job, ctx). They return
+// a JSON result that is stored on the job; ctx.progress(processed, total)
+// records row counts while they run. A handler that throws fails the
+// attempt and its error message is kept in last_error. An optional cleanup
+// (job) runs once the job has succeeded or died, when no attempt can need
+// its inputs again.
+//
+// Several workers (threads of one process or separate instances) can share
+// the table: jobs are claimed atomically with FOR UPDATE SKIP LOCKED and held
+// under a lease that the running worker keeps renewing. A job whose lease
+// runs out (its worker crashed) is claimed again by the next poll.
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 3);
+const BACKOFF_SECONDS = Number(process.env.JOB_BACKOFF_SECONDS || 30);
+const POLL_MS = Number(process.env.JOB_POLL_MS || 2000);
+const LEASE_SECONDS = Number(process.env.JOB_LEASE_SECONDS || 300);
+const CONCURRENCY = Number(process.env.WORKER_CONCURRENCY || 2);
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0,8)}`;
+
+const handlers = {};
+const cleanups = {};
+
+function registerHandler(type, fn, { cleanup } = {}){
+  handlers[type] = fn;
+  if (cleanup) cleanups[type] = cleanup;
+}
+
+// ---------- TABLES ----------
+async function initJobTables(){
+  const columns = [
+    "user_id TEXT",
+    "attempts INTEGER DEFAULT 0",
+    "max_attempts INTEGER DEFAULT 3",
+    "run_after TIMESTAMP",
+    "last_error TEXT",
+    "result JSONB",
+    "rows_total INTEGER",
+    "rows_processed INTEGER DEFAULT 0",
+    "started_at TIMESTAMP",
+    "finished_at TIMESTAMP",
+    "updated_at TIMESTAMP",
+    "locked_by TEXT",
+    "lease_expires_at TIMESTAMP"
+  ];
+  for(const c of columns) await db.query(`ALTER TABLE jobs ADD COLUMN IF NOT EXISTS ${c}`);
+  await db.query("UPDATE jobs SET status='succeeded' WHERE status='done'");
+  await db.query("CREATE INDEX IF NOT EXISTS jobs_status_run_after ON jobs(status, run_after)");
+  await db.query("CREATE INDEX IF NOT EXISTS jobs_user ON jobs(user_id, created_at)");
+}
+
+// ---------- QUEUE ----------
+async function enqueue(type, payload, user_id = null, opts = {}){
+  const id = uuidv4();
+  await db.query(`
+    INSERT INTO jobs(id,type,payload,status,user_id,attempts,max_attempts,updated_at)
+    VALUES($1,$2,$3,'pending',$4,0,$5,CURRENT_TIMESTAMP)
+  `, [id, type, payload, user_id, opts.max_attempts || MAX_ATTEMPTS]);
+  return id;
+}
+
+// Columns exposed through the API; the payload stays server-side.
+const PUBLIC_COLUMNS = `id,type,status,user_id,attempts,max_attempts,run_after,last_error,result,
+  rows_total,rows_processed,created_at,started_at,finished_at,updated_at`;
+
+async function getJob(id){
+  const r = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM jobs WHERE id=$1`, [id]);
+  return r.rows[0] || null;
+}
+
+async function listJobs(user_id, limit = 50){
+  const r = await db.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM jobs WHERE user_id=$1 ORDER BY created_at DESC LIMIT $2`,
+    [user_id, limit]
+  );
+  return r.rows;
+}
+
+// ---------- LIFECYCLE ----------
+const LEASE = `CURRENT_TIMESTAMP + ('${LEASE_SECONDS} seconds')::interval`;
+
+// Jobs whose worker died on their last attempt would otherwise be reclaimed
+// forever; they go straight to dead.
+async function buryExpired(){
+  const r = await db.query(`
+    UPDATE jobs SET status='dead', last_error='lease expired: worker stopped during the last attempt',
+      locked_by=NULL, lease_expires_at=NULL, finished_at=CURRENT_TIMESTAMP, updated_at=CURRENT_TIMESTAMP
+    WHERE status='processing' AND lease_expires_at < CURRENT_TIMESTAMP AND attempts >= max_attempts
+    RETURNING *
+  `);
+  for(const job of r.rows) await cleanUp(job);
+}
+
+// The outcome is already recorded, so a failed cleanup is only logged.
+async function cleanUp(job){
+  const cleanup = cleanups[job.type];
+  if (!cleanup) return;
+  try{
+    await cleanup(job);
+  }catch(err){
+    console.error(`Job ${job.id} (${job.type}) cleanup failed:`, err.message);
+  }
+}
+
+// Atomically takes up to `limit` runnable jobs: pending, due for retry, or
+// processing under an expired lease.
+async function claimJobs(limit){
+  await buryExpired();
+  const r = await db.query(`
+    UPDATE jobs SET status='processing', attempts=attempts+1, last_error=NULL,
+      locked_by=$2, lease_expires_at=${LEASE},
+      started_at=CURRENT_TIMESTAMP, finished_at=NULL, updated_at=CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM jobs
+      WHERE (status IN ('pending','failed') AND (run_after IS NULL OR run_after <= CURRENT_TIMESTAMP))
+         OR (status='processing' AND lease_expires_at < CURRENT_TIMESTAMP)
+      ORDER BY created_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limit, WORKER_ID]);
+  return r.rows;
+}
+
+async function renewLease(job){
+  await db.query(`
+    UPDATE jobs SET lease_expires_at=${LEASE}, updated_at=CURRENT_TIMESTAMP
+    WHERE id=$1 AND locked_by=$2 AND status='processing'
+  `, [job.id, WORKER_ID]);
+}
+
+// The locked_by check keeps a worker whose lease was taken over from
+// overwriting the new owner's state.
+async function succeed(job, result){
+  await db.query(`
+    UPDATE jobs SET status='succeeded', result=$2, locked_by=NULL, lease_expires_at=NULL,
+      finished_at=CURRENT_TIMESTAMP, updated_at=CURRENT_TIMESTAMP
+    WHERE id=$1 AND locked_by=$3
+  `, [job.id, result || {}, WORKER_ID]);
+}
+
+// Retries after BACKOFF_SECONDS * 2^(attempt-1), or gives up once the job
+// has used all its attempts.
+async function fail(job, err){
+  const message = (err && err.message) || String(err);
+  const maxAttempts = job.max_attempts || MAX_ATTEMPTS;
+  if (job.attempts >= maxAttempts){
+    await db.query(`
+      UPDATE jobs SET status='dead', last_error=$2, run_after=NULL, locked_by=NULL, lease_expires_at=NULL,
+        finished_at=CURRENT_TIMESTAMP, updated_at=CURRENT_TIMESTAMP
+      WHERE id=$1 AND locked_by=$3
+    `, [job.id, message, WORKER_ID]);
+    return "dead";
+  }
+  const delay = BACKOFF_SECONDS * Math.pow(2, job.attempts - 1);
+  await db.query(`
+    UPDATE jobs SET status='failed', last_error=$2, run_after=CURRENT_TIMESTAMP + ($3 || ' seconds')::interval,
+      locked_by=NULL, lease_expires_at=NULL, updated_at=CURRENT_TIMESTAMP
+    WHERE id=$1 AND locked_by=$4
+  `, [job.id, message, String(delay), WORKER_ID]);
+  return "failed";
+}
+
+async function progress(job, processed, total){
+  await db.query(`
+    UPDATE jobs SET rows_processed=$2, rows_total=COALESCE($3, rows_total), updated_at=CURRENT_TIMESTAMP
+    WHERE id=$1
+  `, [job.id, processed, total === undefined ? null : total]);
+  job.rows_processed = processed;
+}
+
+async function runJob(job){
+  const handler = handlers[job.type];
+  const heartbeat = setInterval(() => {
+    renewLease(job).catch(err => console.error(`Job ${job.id} lease renewal failed:`, err.message));
+  }, LEASE_SECONDS * 1000 / 3);
+  let result, error;
+  try{
+    if (!handler) throw new Error(`no handler for job type ${job.type}`);
+    result = await handler(job, { progress: (n, total) => progress(job, n, total) });
+  }catch(err){
+    error = err;
+  }finally{
+    clearInterval(heartbeat);
+  }
+  // Recording the outcome can fail too (e.g. the database is down). The job
+  // is then left processing and is retried once its lease expires; a
+  // handler that succeeded is never marked failed for it.
+  try{
+    if (error){
+      const status = await fail(job, error);
+      console.error(`Job ${job.id} (${job.type}) ${status} on attempt ${job.attempts}:`, error.message);
+      if (status === "dead") await cleanUp(job);
+    }else{
+      await succeed(job, result);
+      console.log(`Job ${job.id} (${job.type}) succeeded`);
+      await cleanUp(job);
+    }
+  }catch(err){
+    console.error(`Job ${job.id} (${job.type}) could not record its ${error ? "failure" : "success"}:`, err.message);
+  }
+}
+
+// ---------- WORKER ----------
+// Keeps up to `concurrency` jobs running at once, topping up on every poll.
+async function workerLoop(concurrency = CONCURRENCY){
+  console.log(`Worker ${WORKER_ID} started (concurrency ${concurrency})...`);
+  const running = new Set();
+  while(true){
+    try{
+      const free = concurrency - running.size;
+      if (free > 0){
+        for(const job of await claimJobs(free)){
+          const p = runJob(job)
+            .catch(err => console.error(`Job ${job.id} (${job.type}) crashed:`, err.message))
+            .finally(() => running.delete(p));
+          running.add(p);
+        }
+      }
+    }catch(err){
+      console.error("worker error:", err.message);
+    }
+    await new Promise(r => setTimeout(r, POLL_MS));
+  }
+}
+
+module.exports = {
+  registerHandler,
+  initJobTables,
+  enqueue,
+  getJob,
+  listJobs,
+  workerLoop
+};
@@ -0,0 +1,219 @@
+// mappings.js
+// Column mappings for CSV imports: which header holds the date, the amount
+// (or separate debit/credit columns), the merchant and the country.
+//
+// A mapping comes from, in order of preference: one sent with the upload,
+// a saved per-user profile, a named preset, a preset whose headers match the
+// file, or header-token guessing. Amounts are stored spend-positive, so
+// exports that show spending as negative numbers set `negate`. `locale` and
+// `date_format` tell parsing.js how to read the file's numbers and dates.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+// ---------- PRESETS ----------
+// Layouts of common Irish/UK bank exports. Column names are matched
+// case-insensitively against the file's headers.
+const PRESETS = [
+  {
+    id: "aib", name: "AIB",
+    mapping: { date:"Posted Transactions Date", merchant:"Description1", debit:"Debit Amount", credit:"Credit Amount", default_country:"Ireland", date_format:"DD/MM/YYYY", locale:"en-IE" }
+  },
+  {
+    id: "boi", name: "Bank of Ireland",
+    mapping: { date:"Date", merchant:"Details", debit:"Debit", credit:"Credit", default_country:"Ireland", date_format:"DD/MM/YYYY", locale:"en-IE" }
+  },
+  {
+    id: "ptsb", name: "PTSB",
+    mapping: { date:"Date", merchant:"Description", debit:"Money Out", credit:"Money In", default_country:"Ireland", date_format:"DD/MM/YYYY", locale:"en-IE" }
+  },
+  {
+    id: "revolut", name: "Revolut",
+    mapping: { date:"Completed Date", merchant:"Description", amount:"Amount", negate:true, default_country:"Ireland", date_format:"YYYY-MM-DD HH:mm:ss", locale:"en-IE" }
+  },
+  {
+    id: "nationwide", name: "Nationwide (UK)",
+    mapping: { date:"Date", merchant:"Description", debit:"Paid out", credit:"Paid in", default_country:"UK", date_format:"DD MMM YYYY", locale:"en-GB" }
+  },
+  {
+    id: "lloyds", name: "Lloyds / Halifax (UK)",
+    mapping: { date:"Transaction Date", merchant:"Transaction Description", debit:"Debit Amount", credit:"Credit Amount", default_country:"UK", date_format:"DD/MM/YYYY", locale:"en-GB" }
+  },
+  {
+    id: "monzo", name: "Monzo (UK)",
+    mapping: { date:"Date", merchant:"Name", amount:"Amount", negate:true, default_country:"UK", date_format:"DD/MM/YYYY", locale:"en-GB" }
+  },
+  {
+    id: "barclays", name: "Barclays (UK)",
+    mapping: { date:"Date", merchant:"Memo", amount:"Amount", negate:true, default_country:"UK", date_format:"DD/MM/YYYY", locale:"en-GB" }
+  }
+];
+
+const COLUMN_FIELDS = ["date","amount","debit","credit","merchant","country"];
+
+// ---------- TOKEN GUESSING ----------
+const AMOUNT_TOKENS   = ["amount","amt","value","transaction_amount","monthly_expense_total"];
+const DATE_TOKENS     = ["timestamp","date","datetime","transaction_date"];
+const DEBIT_TOKENS    = ["paid out","debit","money out","withdrawal"];
+const CREDIT_TOKENS   = ["paid in","credit","money in","deposit"];
+const MERCHANT_TOKENS = ["merchant","shop","vendor","store","description","details","payee","memo"];
+const COUNTRY_TOKENS  = ["country"];
+
+const normalizeHeader = h => String(h).replace(/^\uFEFF/,"")
+  .replace(/[()\[\]"]/g,"")
+  .replace(/[^\w\s\-]/g," ")
+  .replace(/\s+/g," ")
+  .trim()
+  .toLowerCase();
+
+// Maps each field to the first header containing one of its tokens. Separate
+// debit/credit columns win over a single amount column, since headers like
+// "Debit Amount" would otherwise be read as the amount.
+function detectByTokens(headers){
+  const find = tokens => headers.find(h => tokens.some(t => normalizeHeader(h).includes(t)));
+  const debit = find(DEBIT_TOKENS);
+  const credit = find(CREDIT_TOKENS);
+  const split = debit && credit && debit !== credit;
+  return {
+    date: find(DATE_TOKENS),
+    amount: split ? undefined : find(AMOUNT_TOKENS),
+    debit: split ? debit : undefined,
+    credit: split ? credit : undefined,
+    merchant: find(MERCHANT_TOKENS),
+    country: find(COUNTRY_TOKENS)
+  };
+}
+
+// ---------- RESOLUTION ----------
+// Rewrites a mapping's column names to the exact spelling used in the file.
+// Returns null when a mapped column is not in the file.
+function bindToHeaders(mapping, headers){
+  const byKey = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const bound = { ...mapping };
+  for(const f of COLUMN_FIELDS){
+    if (!mapping[f]) continue;
+    const h = byKey.get(normalizeHeader(mapping[f]));
+    if (!h) return null;
+    bound[f] = h;
+  }
+  return bound;
+}
+
+// The preset matching the most of the file's headers, if any matches fully.
+function matchPreset(headers){
+  let best = null;
+  for(const p of PRESETS){
+    const bound = bindToHeaders(p.mapping, headers);
+    if (!bound) continue;
+    const size = COLUMN_FIELDS.filter(f => p.mapping[f]).length;
+    if (!best || size > best.size) best = { preset:p, mapping:bound, size };
+  }
+  return best;
+}
+
+function findPreset(id){
+  return PRESETS.find(p => p.id === id) || null;
+}
+
+// Problems that make a mapping unusable for this file (empty when fine).
+function validateMapping(mapping, headers){
+  const problems = [];
+  if (!mapping.date) problems.push("no date column");
+  if (!mapping.amount && !mapping.debit && !mapping.credit) problems.push("no amount (or debit/credit) column");
+  for(const f of COLUMN_FIELDS){
+    if (mapping[f] && !headers.includes(mapping[f])) problems.push(`column "${mapping[f]}" for ${f} not found`);
+  }
+  return problems;
+}
+
+// Picks the mapping for a file. `opts` may carry an explicit mapping, a saved
+// profile or a preset id; otherwise presets and then tokens are tried.
+// Returns { mapping, source, problems }.
+function resolveMapping(headers, opts = {}){
+  let mapping = null;
+  let source = null;
+
+  if (opts.mapping){
+    mapping = bindToHeaders(opts.mapping, headers) || opts.mapping;
+    source = "custom";
+  } else if (opts.profile){
+    mapping = bindToHeaders(opts.profile.mapping, headers) || opts.profile.mapping;
+    source = `profile:${opts.profile.id}`;
+  } else if (opts.preset){
+    const p = findPreset(opts.preset);
+    if (!p) return { mapping:null, source:null, problems:[`unknown preset "${opts.preset}"`] };
+    mapping = bindToHeaders(p.mapping, headers) || p.mapping;
+    source = `preset:${p.id}`;
+  } else {
+    const match = matchPreset(headers);
+    if (match){
+      mapping = match.mapping;
+      source = `preset:${match.preset.id}`;
+    } else {
+      mapping = detectByTokens(headers);
+      source = "detected";
+    }
+  }
+
+  mapping = { ...mapping };
+  for(const f of COLUMN_FIELDS) if (!mapping[f]) delete mapping[f];
+  return { mapping, source, problems:validateMapping(mapping, headers) };
+}
+
+// ---------- PROFILES ----------
+async function initMappingTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS mapping_profiles(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      name TEXT,
+      mapping JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS mapping_profiles_user ON mapping_profiles(user_id)");
+}
+
+async function listProfiles(user_id){
+  const r = await db.query(
+    "SELECT id,name,mapping,created_at FROM mapping_profiles WHERE user_id=$1 ORDER BY name",
+    [user_id]
+  );
+  return r.rows;
+}
+
+async function getProfile(id, user_id){
+  const r = await db.query(
+    "SELECT id,name,mapping,created_at FROM mapping_profiles WHERE id=$1 AND user_id=$2",
+    [id, user_id]
+  );
+  return r.rows[0] || null;
+}
+
+async function saveProfile(user_id, name, mapping, id = uuidv4()){
+  await db.query(`
+    INSERT INTO mapping_profiles(id,user_id,name,mapping) VALUES($1,$2,$3,$4)
+    ON CONFLICT (id) DO UPDATE SET name=EXCLUDED.name, mapping=EXCLUDED.mapping
+  `, [id, user_id, name, mapping]);
+  return { id, name, mapping };
+}
+
+async function deleteProfile(id, user_id){
+  const r = await db.query("DELETE FROM mapping_profiles WHERE id=$1 AND user_id=$2", [id, user_id]);
+  return r.rowCount > 0;
+}
+
+module.exports = {
+  PRESETS,
+  COLUMN_FIELDS,
+  AMOUNT_TOKENS,
+  DATE_TOKENS,
+  normalizeHeader,
+  detectByTokens,
+  findPreset,
+  resolveMapping,
+  initMappingTables,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile
+};
@@ -0,0 +1,76 @@
+// notifications.js
+// Per-user notifications the frontend polls: budget alerts and anything
+// else the server wants the user to see. `type` says what raised it and
+// `data` carries the details for that type.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+async function initNotificationTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notifications(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      type TEXT,
+      title TEXT,
+      message TEXT,
+      data JSONB,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS notifications_user ON notifications(user_id, created_at)");
+}
+
+async function notify(user_id, type, title, message, data = {}){
+  const id = uuidv4();
+  await db.query(
+    "INSERT INTO notifications(id,user_id,type,title,message,data) VALUES($1,$2,$3,$4,$5,$6)",
+    [id, user_id, type, title, message, data]
+  );
+  return id;
+}
+
+// Newest first. `since` (ISO time) lets a poller fetch only what's new.
+async function list(user_id, { unread = false, since = null, limit = 50 } = {}){
+  const where = ["user_id=$1"];
+  const params = [user_id];
+  if (unread) where.push("read_at IS NULL");
+  if (since){ params.push(since); where.push(`created_at > $${params.length}`); }
+  params.push(limit);
+  const r = await db.query(
+    `SELECT id,type,title,message,data,read_at,created_at FROM notifications
+     WHERE ${where.join(" AND ")} ORDER BY created_at DESC LIMIT $${params.length}`,
+    params
+  );
+  return r.rows;
+}
+
+async function unreadCount(user_id){
+  const r = await db.query("SELECT COUNT(*) AS n FROM notifications WHERE user_id=$1 AND read_at IS NULL", [user_id]);
+  return Number(r.rows[0].n);
+}
+
+async function markRead(user_id, id){
+  const r = await db.query(
+    "UPDATE notifications SET read_at=COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id=$1 AND user_id=$2",
+    [id, user_id]
+  );
+  return r.rowCount > 0;
+}
+
+async function markAllRead(user_id){
+  const r = await db.query(
+    "UPDATE notifications SET read_at=CURRENT_TIMESTAMP WHERE user_id=$1 AND read_at IS NULL",
+    [user_id]
+  );
+  return r.rowCount;
+}
+
+module.exports = {
+  initNotificationTables,
+  notify,
+  list,
+  unreadCount,
+  markRead,
+  markAllRead
+};
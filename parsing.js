@@ -0,0 +1,157 @@
+// parsing.js
+// Locale-aware amount and date parsing for imports and manual entries.
+//
+// parseAmount("1.234,56", { locale:"de-DE" }) -> 1234.56
+// parseAmount("(€12.50)")                     -> -12.5
+// parseDate("05/01/2024", { date_format:"DD/MM/YYYY" }) -> "2024-01-05T00:00:00"
+//
+// Without a locale, amounts are read by looking at which separator comes
+// last; without a date format, ISO dates are taken as is and d/m/y dates are
+// read day-first (the usual order for our Irish users) unless the locale is
+// en-US or the numbers only make sense month-first. Both return null when
+// the input cannot be read.
+
+const MONTHS = ["jan","feb","mar","apr","may","jun","jul","aug","sep","oct","nov","dec"];
+
+// ---------- AMOUNTS ----------
+function separatorsFor(locale){
+  try{
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+    const group = (parts.find(p => p.type === "group") || {}).value || ",";
+    const decimal = (parts.find(p => p.type === "decimal") || {}).value || ".";
+    return { group, decimal };
+  }catch(e){
+    return null;
+  }
+}
+
+// Decides the decimal separator of a bare number like "1.234,56" or "1,234".
+function guessDecimal(s){
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? "." : ",";
+  if (lastComma >= 0) return /^\d{1,3}(,\d{3})+$/.test(s) ? "." : ",";
+  if (lastDot >= 0) return /^\d{1,3}(\.\d{3}){2,}$/.test(s) ? "," : ".";
+  return ".";
+}
+
+function parseAmount(raw, opts = {}){
+  if (typeof raw === "number") return isFinite(raw) ? raw : null;
+  let s = String(raw ?? "").trim();
+  if (!s) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(s)){ negative = true; s = s.slice(1, -1).trim(); }
+  s = s.replace(/[\u2212\u2012\u2013]/g, "-");
+  if (/-$/.test(s)){ negative = !negative; s = s.slice(0, -1); }
+
+  // Drop currency symbols and codes (€, £, EUR...) and any spacing.
+  s = s.replace(/[^\d.,'\u2019\s\u00a0\u202f+-]/g, "").replace(/[\s\u00a0\u202f'\u2019]/g, "");
+  if (/^[+-]/.test(s)){ if (s[0] === "-") negative = !negative; s = s.slice(1); }
+  if (!/^\d[\d.,]*$/.test(s) && !/^[.,]\d+$/.test(s)) return null;
+
+  const seps = opts.locale ? separatorsFor(opts.locale) : null;
+  const decimal = seps ? seps.decimal : guessDecimal(s);
+  const group = decimal === "." ? "," : ".";
+
+  const parts = s.split(decimal);
+  if (parts.length > 2) return null;
+  const whole = parts[0].split(group).join("");
+  if (/[.,]/.test(whole)) return null;
+  const n = Number(whole + (parts.length === 2 ? "." + parts[1] : ""));
+  if (!isFinite(n)) return null;
+  return negative ? -n : n;
+}
+
+// ---------- DATES ----------
+const pad = n => String(n).padStart(2, "0");
+
+function daysInMonth(y, m){
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function build(y, m, d, hh = 0, mi = 0, ss = 0){
+  if (y < 100) y += y < 70 ? 2000 : 1900;
+  if (m < 1 || m > 12 || d < 1 || d > daysInMonth(y, m)) return null;
+  if (hh > 23 || mi > 59 || ss > 59) return null;
+  return `${y}-${pad(m)}-${pad(d)}T${pad(hh)}:${pad(mi)}:${pad(ss)}`;
+}
+
+function monthNumber(s){
+  const i = MONTHS.indexOf(String(s).slice(0, 3).toLowerCase());
+  return i < 0 ? NaN : i + 1;
+}
+
+const FORMAT_TOKENS = {
+  YYYY: "(\\d{4})", YY: "(\\d{2})",
+  MMM: "([A-Za-z]{3,9})", MM: "(\\d{2})", M: "(\\d{1,2})",
+  DD: "(\\d{2})", D: "(\\d{1,2})",
+  HH: "(\\d{2})", H: "(\\d{1,2})", mm: "(\\d{2})", ss: "(\\d{2})"
+};
+
+// Compiles "DD/MM/YYYY HH:mm" into a regex plus the token order. Time
+// tokens may be missing from the input even if the format has them.
+function compileFormat(format){
+  const order = [];
+  let re = "";
+  const tokens = /YYYY|YY|MMM|MM|M|DD|D|HH|H|mm|ss/g;
+  let last = 0;
+  let m;
+  let timeAt = -1;
+  while((m = tokens.exec(format))){
+    const lit = format.slice(last, m.index).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+    if (timeAt < 0 && /^H/.test(m[0])) timeAt = re.length;
+    re += lit + FORMAT_TOKENS[m[0]];
+    order.push(m[0]);
+    last = m.index + m[0].length;
+  }
+  re += format.slice(last).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (timeAt >= 0) re = re.slice(0, timeAt) + "(?:" + re.slice(timeAt) + ")?";
+  return { re: new RegExp("^" + re + "$"), order };
+}
+
+function parseWithFormat(s, format){
+  const { re, order } = compileFormat(format);
+  const m = re.exec(s);
+  if (!m) return null;
+  const v = {};
+  order.forEach((tok, i) => { v[tok] = m[i + 1]; });
+  const y = Number(v.YYYY || v.YY);
+  const mo = v.MMM ? monthNumber(v.MMM) : Number(v.MM || v.M);
+  const d = Number(v.DD || v.D);
+  return build(y, mo, d, Number(v.HH || v.H || 0), Number(v.mm || 0), Number(v.ss || 0));
+}
+
+function parseDate(raw, opts = {}){
+  if (raw instanceof Date) return isNaN(raw) ? null : raw.toISOString();
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+
+  if (opts.date_format) return parseWithFormat(s, opts.date_format);
+
+  // ISO 8601 (with or without time and zone) is unambiguous.
+  if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(s)){
+    return isNaN(new Date(s.replace(" ", "T"))) ? null : s.replace(" ", "T");
+  }
+
+  // 05/01/2024, 5.1.24, 05-01-2024 13:45
+  let m = /^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(s);
+  if (m){
+    let [a, b] = [Number(m[1]), Number(m[2])];
+    const monthFirst = b > 12 || (a <= 12 && /^en-US$/i.test(opts.locale || ""));
+    if (monthFirst) [a, b] = [b, a];
+    return build(Number(m[3]), b, a, Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0));
+  }
+
+  // 05 Jan 2024, 5-Jan-24
+  m = /^(\d{1,2})[ \-]([A-Za-z]{3,9})[ \-,]+(\d{2}|\d{4})$/.exec(s);
+  if (m) return build(Number(m[3]), monthNumber(m[2]), Number(m[1]));
+
+  // Jan 5, 2024
+  m = /^([A-Za-z]{3,9}) (\d{1,2}),? (\d{4})$/.exec(s);
+  if (m) return build(Number(m[3]), monthNumber(m[1]), Number(m[2]));
+
+  return null;
+}
+
+module.exports = { parseAmount, parseDate, separatorsFor };
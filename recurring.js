@@ -0,0 +1,215 @@
+// recurring.js
+// Finds recurring payments - subscriptions, rent, memberships - in a user's
+// transactions.
+//
+// Charges are grouped by merchant (with reference numbers and suffixes like
+// ".com" stripped), then by amount: charges within AMOUNT_TOLERANCE of each
+// other belong to one series, so a price rise stays in its series while the
+// odd one-off purchase from the same shop doesn't. A series is recurring when
+// most gaps between its charges match a cadence:
+//
+//   weekly   7 days  +-2   (3+ charges)
+//   monthly  ~30 days +-4  (3+ charges)
+//   annual   ~365 days +-20 (2+ charges)
+//
+// For each series we report the expected next date and amount, payments that
+// were skipped inside the series, whether the latest one is overdue (missed),
+// and the latest price change. After LAPSED_AFTER overdue payments in a row
+// the series is lapsed: it has no next date and no further missed dates.
+
+const db = require('./db');
+
+const AMOUNT_TOLERANCE = 0.25;
+const LAPSED_AFTER = 3;
+const LOOKBACK_DAYS = Number(process.env.RECURRING_LOOKBACK_DAYS || 800);
+
+const CADENCES = [
+  { id:"weekly",  days:7,   tolerance:2,  grace:3,  minCount:3 },
+  { id:"monthly", days:30,  tolerance:4,  grace:7,  minCount:3 },
+  { id:"annual",  days:365, tolerance:20, grace:30, minCount:2 }
+];
+
+// ---------- DATES ----------
+const DAY = 86400000;
+const pad = n => String(n).padStart(2, "0");
+
+// Whole days since the epoch for a stored timestamp (pg gives local Dates).
+function dayNumber(ts){
+  const d = ts instanceof Date ? ts : new Date(ts);
+  return Math.floor(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / DAY);
+}
+
+function dayString(n){
+  const d = new Date(n * DAY);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// The date one cadence step after `day`. Monthly and annual steps keep the
+// day of the month (clamped to the month's length), as billing does.
+function nextDay(day, cadence, anchorDate){
+  if (cadence.id === "weekly") return day + 7;
+  const d = new Date(day * DAY);
+  const months = cadence.id === "monthly" ? 1 : 12;
+  const y = d.getUTCFullYear() + Math.floor((d.getUTCMonth() + months) / 12);
+  const m = (d.getUTCMonth() + months) % 12;
+  const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return Math.floor(Date.UTC(y, m, Math.min(anchorDate, last)) / DAY);
+}
+
+// ---------- GROUPING ----------
+const NOISE = new Set(["com","www","ltd","limited","ie","uk","inc","gmbh","bv","plc","llc","payment","pmt","dd","direct","debit","card","pos"]);
+
+function merchantKey(merchant){
+  return String(merchant || "").toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t && !/\d/.test(t) && !NOISE.has(t))
+    .join(" ");
+}
+
+const median = xs => {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Splits one merchant's charges (in date order) into series of similar amounts.
+function amountClusters(charges){
+  const clusters = [];
+  for(const c of charges){
+    const home = clusters.find(cl => Math.abs(c.amount - cl.last) <= cl.last * AMOUNT_TOLERANCE);
+    if (home){ home.charges.push(c); home.last = c.amount; }
+    else clusters.push({ charges:[c], last:c.amount });
+  }
+  return clusters.map(cl => cl.charges);
+}
+
+// ---------- CADENCE ----------
+// The cadence most gaps fit, counting a gap of two or three steps as skipped
+// payments rather than a break in the series.
+function fitCadence(days){
+  const gaps = days.slice(1).map((d, i) => d - days[i]).filter(g => g > 0);
+  if (!gaps.length) return null;
+  for(const cadence of CADENCES){
+    if (days.length < cadence.minCount) continue;
+    let regular = 0;
+    const skipped = [];
+    gaps.forEach((g, i) => {
+      const steps = Math.round(g / cadence.days);
+      if (steps < 1 || steps > 3) return;
+      if (Math.abs(g - steps * cadence.days) > cadence.tolerance * steps) return;
+      regular++;
+      const anchor = new Date(days[i] * DAY).getUTCDate();
+      for(let k = 1, d = days[i]; k < steps; k++){
+        d = nextDay(d, cadence, anchor);
+        skipped.push(d);
+      }
+    });
+    if (regular >= Math.max(1, Math.ceil(gaps.length * 0.75))) return { cadence, skipped };
+  }
+  return null;
+}
+
+// ---------- DETECTION ----------
+// Recurring series in `rows` (id, amount, merchant, category, timestamp),
+// judged as of `today` (a day number).
+function detect(rows, today = dayNumber(new Date())){
+  const byMerchant = new Map();
+  for(const r of rows){
+    const amount = Number(r.amount);
+    if (!(amount > 0)) continue;
+    const key = merchantKey(r.merchant);
+    if (!key) continue;
+    if (!byMerchant.has(key)) byMerchant.set(key, []);
+    byMerchant.get(key).push({ id:r.id, amount, merchant:r.merchant, category:r.category, day:dayNumber(r.timestamp) });
+  }
+
+  const series = [];
+  for(const [key, charges] of byMerchant){
+    charges.sort((a, b) => a.day - b.day);
+    for(const cluster of amountClusters(charges)){
+      // Two charges on one day are one payment for cadence purposes.
+      const days = [...new Set(cluster.map(c => c.day))];
+      const fit = fitCadence(days);
+      if (!fit) continue;
+      series.push(describe(key, cluster, fit, today));
+    }
+  }
+  // Soonest first; lapsed series (no next date) last.
+  return series.sort((a, b) => (a.next_date === null) - (b.next_date === null) ||
+    (a.next_date || "").localeCompare(b.next_date || ""));
+}
+
+function describe(key, cluster, { cadence, skipped }, today){
+  const last = cluster[cluster.length - 1];
+  const first = cluster[0];
+  const anchor = new Date(last.day * DAY).getUTCDate();
+
+  // Overdue payments: every expected date since the last charge that is
+  // past its grace period, up to the one that makes the series lapsed.
+  const missed = [...skipped];
+  let next = nextDay(last.day, cadence, anchor);
+  let overdue = 0;
+  while(next + cadence.grace < today && overdue < LAPSED_AFTER){
+    missed.push(next);
+    overdue++;
+    next = nextDay(next, cadence, anchor);
+  }
+  const status = overdue === 0 ? "active" : overdue < LAPSED_AFTER ? "missed" : "lapsed";
+
+  // Latest price change: the last charge against the one before it.
+  const amounts = cluster.map(c => c.amount);
+  let price_change = null;
+  for(let i = cluster.length - 1; i > 0; i--){
+    if (Math.abs(cluster[i].amount - cluster[i - 1].amount) >= 0.01){
+      const from = cluster[i - 1].amount;
+      const to = cluster[i].amount;
+      price_change = {
+        from, to, date: dayString(cluster[i].day),
+        percent: Math.round((to - from) / from * 1000) / 10,
+        increase: to > from
+      };
+      break;
+    }
+  }
+
+  return {
+    merchant: last.merchant,
+    merchant_key: key,
+    category: last.category || null,
+    cadence: cadence.id,
+    count: cluster.length,
+    first_date: dayString(first.day),
+    last_date: dayString(last.day),
+    last_amount: last.amount,
+    typical_amount: round2(median(amounts)),
+    next_date: status === "lapsed" ? null : dayString(next),
+    next_amount: last.amount,
+    status,
+    missed_payments: missed.map(dayString),
+    price_change,
+    price_increase: !!(price_change && price_change.increase),
+    annual_cost: round2(last.amount * { weekly:52, monthly:12, annual:1 }[cadence.id]),
+    transaction_ids: cluster.map(c => c.id)
+  };
+}
+
+// Recurring series for one user over the last LOOKBACK_DAYS.
+async function recurringFor(user_id, today = dayNumber(new Date())){
+  const since = dayString(today - LOOKBACK_DAYS);
+  const r = await db.query(`
+    SELECT id,amount,merchant,category,timestamp FROM transactions
+    WHERE user_id=$1 AND amount > 0 AND timestamp >= $2
+    ORDER BY timestamp
+  `, [user_id, since]);
+  return detect(r.rows, today);
+}
+
+module.exports = {
+  CADENCES,
+  dayNumber,
+  merchantKey,
+  detect,
+  recurringFor
+};
@@ -0,0 +1,261 @@
+// reviews.js
+// Fraud review queue: a case for every transaction that scores at or above
+// REVIEW_THRESHOLD, worked by analysts (admins). Without it the threshold is
+// the alert threshold the calibration tool picked for RISK_CONFIG (see
+// rulesets.js), else 0.7.
+//
+//   open -> confirmed-fraud | legitimate | dismissed   (and back to open)
+//
+// Cases open wherever a score is written - on insert, after an edit and in
+// rescore jobs - and once per transaction: a case that was closed isn't
+// reopened by a later score, and an open one stays open if the score drops.
+// Raising the threshold doesn't close anything; lowering it only opens
+// cases for existing rows at the next startup (or POST /api/reviews/sync).
+//
+// confirmed-fraud and legitimate verdicts are kept in fraud_labels with a
+// copy of the transaction as it was judged, so the labels outlive edits and
+// deletes and can be exported to evaluate and tune the RiskEstimator. Status
+// and assignee changes go to the audit log.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const audit = require('./audit');
+const rulesets = require('./rulesets');
+const { toCsv } = require('./csv');
+
+const calibrated = (rulesets.calibration() || {}).alert_threshold;
+const THRESHOLD = Number(process.env.REVIEW_THRESHOLD || calibrated || 0.7);
+const STATUSES = ["open","confirmed-fraud","legitimate","dismissed"];
+const LABELS = { "confirmed-fraud":"fraud", "legitimate":"legitimate" };
+
+// ---------- TABLES ----------
+async function initReviewTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reviews(
+      id TEXT PRIMARY KEY,
+      transaction_id TEXT UNIQUE,
+      user_id TEXT,
+      risk_score NUMERIC,
+      ruleset_version TEXT,
+      status TEXT DEFAULT 'open',
+      assignee_id TEXT,
+      resolved_by TEXT,
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS reviews_status ON reviews(status, risk_score)");
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS review_comments(
+      id TEXT PRIMARY KEY,
+      review_id TEXT,
+      author_id TEXT,
+      author_email TEXT,
+      body TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS review_comments_review ON review_comments(review_id, created_at)");
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS fraud_labels(
+      transaction_id TEXT PRIMARY KEY,
+      review_id TEXT,
+      user_id TEXT,
+      label TEXT,
+      amount NUMERIC,
+      country TEXT,
+      merchant TEXT,
+      timestamp TIMESTAMP,
+      category TEXT,
+      risk_score NUMERIC,
+      ruleset_version TEXT,
+      labeled_by TEXT,
+      labeled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+  await syncQueue();
+}
+
+// ---------- QUEUE ----------
+// Opens a case for a freshly scored transaction at or above the threshold.
+async function flagIfHigh(transaction_id, user_id, explanation){
+  if (!(explanation.score >= THRESHOLD)) return false;
+  const r = await db.query(`
+    INSERT INTO reviews(id,transaction_id,user_id,risk_score,ruleset_version)
+    VALUES($1,$2,$3,$4,$5) ON CONFLICT (transaction_id) DO NOTHING
+  `, [uuidv4(), transaction_id, user_id, explanation.score, explanation.version]);
+  return r.rowCount > 0;
+}
+
+// Opens cases for stored transactions at or above the threshold that have
+// none. Returns how many were opened.
+async function syncQueue(){
+  let opened = 0;
+  while(true){
+    const r = await db.query(`
+      SELECT t.id, t.user_id, t.risk_score, t.ruleset_version FROM transactions t
+      LEFT JOIN reviews r ON r.transaction_id=t.id
+      WHERE r.id IS NULL AND t.risk_score >= $1
+      LIMIT 1000
+    `, [THRESHOLD]);
+    if (!r.rows.length) return opened;
+    for(const t of r.rows){
+      if (await flagIfHigh(t.id, t.user_id, { score:Number(t.risk_score), version:t.ruleset_version })) opened++;
+    }
+  }
+}
+
+const CASE_COLUMNS = `r.id, r.transaction_id, r.user_id, r.risk_score, r.ruleset_version, r.status,
+  r.assignee_id, r.resolved_by, r.resolved_at, r.created_at, r.updated_at,
+  t.amount, t.merchant, t.country, t.timestamp, t.category, t.risk_score AS current_risk_score`;
+
+const num = v => v === null || v === undefined ? null : Number(v);
+const caseRow = c => ({ ...c, risk_score:num(c.risk_score), current_risk_score:num(c.current_risk_score), amount:num(c.amount) });
+
+// Cases, highest risk first. `assignee` is a user id or "none".
+async function listCases({ status = "open", assignee = null, user_id = null, limit = 50 } = {}){
+  const where = ["1=1"];
+  const params = [];
+  if (status){ params.push(status); where.push(`r.status=$${params.length}`); }
+  if (assignee === "none") where.push("r.assignee_id IS NULL");
+  else if (assignee){ params.push(assignee); where.push(`r.assignee_id=$${params.length}`); }
+  if (user_id){ params.push(user_id); where.push(`r.user_id=$${params.length}`); }
+  params.push(limit);
+  const r = await db.query(`
+    SELECT ${CASE_COLUMNS} FROM reviews r LEFT JOIN transactions t ON t.id=r.transaction_id
+    WHERE ${where.join(" AND ")}
+    ORDER BY r.risk_score DESC, r.created_at
+    LIMIT $${params.length}
+  `, params);
+  return r.rows.map(caseRow);
+}
+
+async function counts(){
+  const r = await db.query("SELECT status, COUNT(*) AS n FROM reviews GROUP BY status");
+  const out = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  for(const row of r.rows) out[row.status] = Number(row.n);
+  return out;
+}
+
+// A case with its transaction (null once deleted), comments and history.
+async function getCase(id){
+  const r = await db.query(`SELECT ${CASE_COLUMNS} FROM reviews r LEFT JOIN transactions t ON t.id=r.transaction_id WHERE r.id=$1`, [id]);
+  const c = r.rows[0];
+  if (!c) return null;
+  const comments = await db.query(
+    "SELECT id,author_id,author_email,body,created_at FROM review_comments WHERE review_id=$1 ORDER BY created_at, id",
+    [id]
+  );
+  const label = await db.query("SELECT label,labeled_by,labeled_at FROM fraud_labels WHERE transaction_id=$1", [c.transaction_id]);
+  return {
+    ...caseRow(c),
+    comments: comments.rows,
+    label: label.rows[0] || null,
+    history: await audit.history(c.user_id, "review", id)
+  };
+}
+
+// ---------- WORKFLOW ----------
+// Applies { status?, assignee_id? } (already validated; assignee_id null
+// unassigns). Closing with a verdict stores the label; reopening or
+// dismissing drops it. Returns the fields that changed.
+async function updateCase(c, { status, assignee_id }, actor){
+  const next = {
+    status: status === undefined ? c.status : status,
+    assignee_id: assignee_id === undefined ? c.assignee_id : assignee_id
+  };
+  const changed = ["status","assignee_id"].filter(k => next[k] !== c[k]);
+  if (!changed.length) return changed;
+
+  await db.query(
+    "UPDATE reviews SET status=$2, assignee_id=$3, updated_at=CURRENT_TIMESTAMP WHERE id=$1",
+    [c.id, next.status, next.assignee_id]
+  );
+  if (changed.includes("status")){
+    // Every verdict is a new resolution; reopening clears it.
+    const closing = next.status !== "open";
+    await db.query(
+      "UPDATE reviews SET resolved_by=$2, resolved_at=CASE WHEN $3 THEN CURRENT_TIMESTAMP END WHERE id=$1",
+      [c.id, closing ? actor.id : null, closing]
+    );
+    await storeLabel(c, next.status, actor);
+  }
+
+  await audit.record({
+    user_id: c.user_id, entity:"review", entity_id:c.id, action:"update", actor,
+    before: Object.fromEntries(changed.map(k => [k, c[k]])),
+    after: Object.fromEntries(changed.map(k => [k, next[k]]))
+  });
+  return changed;
+}
+
+async function storeLabel(c, status, actor){
+  const label = LABELS[status];
+  if (!label){
+    await db.query("DELETE FROM fraud_labels WHERE transaction_id=$1", [c.transaction_id]);
+    return;
+  }
+  // The transaction as judged; a case whose transaction is gone keeps the
+  // label it already has, if any.
+  const t = (await db.query("SELECT * FROM transactions WHERE id=$1", [c.transaction_id])).rows[0];
+  if (!t){
+    await db.query("UPDATE fraud_labels SET label=$2, labeled_by=$3, labeled_at=CURRENT_TIMESTAMP WHERE transaction_id=$1",
+      [c.transaction_id, label, actor.id]);
+    return;
+  }
+  await db.query(`
+    INSERT INTO fraud_labels(transaction_id,review_id,user_id,label,amount,country,merchant,timestamp,category,risk_score,ruleset_version,labeled_by)
+    VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    ON CONFLICT (transaction_id) DO UPDATE SET label=EXCLUDED.label, amount=EXCLUDED.amount, country=EXCLUDED.country,
+      merchant=EXCLUDED.merchant, timestamp=EXCLUDED.timestamp, category=EXCLUDED.category, risk_score=EXCLUDED.risk_score,
+      ruleset_version=EXCLUDED.ruleset_version, labeled_by=EXCLUDED.labeled_by, labeled_at=CURRENT_TIMESTAMP
+  `, [c.transaction_id, c.id, c.user_id, label, t.amount, t.country, t.merchant, t.timestamp, t.category,
+      t.risk_score, t.ruleset_version, actor.id]);
+}
+
+async function addComment(c, actor, body){
+  const id = uuidv4();
+  await db.query(
+    "INSERT INTO review_comments(id,review_id,author_id,author_email,body) VALUES($1,$2,$3,$4,$5)",
+    [id, c.id, actor.id, actor.email, body]
+  );
+  await db.query("UPDATE reviews SET updated_at=CURRENT_TIMESTAMP WHERE id=$1", [c.id]);
+  return { id, author_id:actor.id, author_email:actor.email, body };
+}
+
+// ---------- LABELS ----------
+const LABEL_COLUMNS = ["transaction_id","label","amount","country","merchant","timestamp","category","risk_score","ruleset_version","user_id","labeled_by","labeled_at"];
+
+async function listLabels({ since = null } = {}){
+  const params = [];
+  let where = "";
+  if (since){ params.push(since); where = "WHERE labeled_at >= $1"; }
+  const r = await db.query(`SELECT ${LABEL_COLUMNS.join(",")} FROM fraud_labels ${where} ORDER BY timestamp`, params);
+  return r.rows;
+}
+
+const pad = n => String(n).padStart(2, "0");
+const wallClock = d => d instanceof Date
+  ? `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+  : d;
+
+// One row per label, in the CSV layout the risk library's tuning tool reads.
+function labelsToCsv(rows){
+  return toCsv(LABEL_COLUMNS, rows.map(r => LABEL_COLUMNS.map(k => wallClock(r[k]))));
+}
+
+module.exports = {
+  THRESHOLD,
+  STATUSES,
+  initReviewTables,
+  flagIfHigh,
+  syncQueue,
+  listCases,
+  counts,
+  getCase,
+  updateCase,
+  addComment,
+  listLabels,
+  labelsToCsv
+};
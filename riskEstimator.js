@@ -1,47 +1,59 @@
 // riskEstimator.js
-class RiskEstimator {
-  constructor(cfg = {}) {
-    const d = {
-      large_amount_threshold: 1000.0,
-      large_amount_weight: 0.4,
-      unusual_country_weight: 0.25,
-      off_hours_weight: 0.2,
-      merchant_blacklist_weight: 0.15
-    };
-    this.cfg = { ...d, ...cfg };
-    this.merchant_blacklist = new Set(["scamshop ltd","suspicious merchant"]);
-  }
-
-  scoreTransaction(tx) {
-    let score = 0.0;
+// Compatibility shim: the scoring rules now live in fintrack-risk-lib.
+// The old snake_case config keys are mapped onto the engine's options, and
+// the old rule set is pinned: the log-scaled large amount rule plus the
+// foreign country, off-hours (00:00-04:59) and blacklist rules, with the old
+// weights and safe countries. The engine's keyword, baseline and velocity
+// rules are not registered.
+// Two differences remain: scores are on the engine's 0-1 scale, not the old
+// 0-100 one, and are rounded to three decimals rather than four.
+const { RiskEstimator: Engine, rules } = require('./fintrack-risk-lib');
+
+const LEGACY_DEFAULTS = {
+  large_amount_threshold: 1000,
+  large_amount_weight: 0.4,
+  unusual_country_weight: 0.25,
+  off_hours_weight: 0.2,
+  merchant_blacklist_weight: 0.15,
+  safeCountries: ['ireland', 'uk', 'usa'],
+  offHoursEnd: 4
+};
+
+const LEGACY_KEYS = {
+  large_amount_threshold: 'highAmountThreshold',
+  large_amount_weight: 'highAmountWeight',
+  unusual_country_weight: 'foreignCountryPenalty',
+  off_hours_weight: 'offHoursPenalty',
+  merchant_blacklist_weight: 'blacklistPenalty'
+};
+
+// The old large amount rule: nothing below the threshold, then
+// log(amount/threshold + 1) capped at 1, times the weight.
+const legacyLargeAmount = {
+  id: 'large_amount',
+  weightKey: 'highAmountWeight',
+  evaluate(tx, cfg) {
     const amount = Number(tx.amount || 0);
+    const threshold = cfg.highAmountThreshold;
+    const contribution = amount >= threshold
+      ? Math.min(1, Math.log(amount / threshold + 1)) * cfg.highAmountWeight
+      : 0;
+    return { contribution, inputs: { amount, threshold } };
+  }
+};
 
-    if (amount >= this.cfg.large_amount_threshold) {
-      score += Math.min(1.0, Math.log(amount / this.cfg.large_amount_threshold + 1)) * this.cfg.large_amount_weight * 100;
-    }
-
-    const country = (tx.country || "").toLowerCase();
-    if (country && !["ireland","uk","usa"].includes(country)) {
-      score += this.cfg.unusual_country_weight * 100;
-    }
-
-    try {
-      const t = new Date(tx.timestamp);
-      if (!isNaN(t) && t.getHours() >= 0 && t.getHours() < 5) {
-        score += this.cfg.off_hours_weight * 100;
-      }
-    } catch (e) {}
-
-    const merchant = (tx.merchant || "").toLowerCase();
-    if (this.merchant_blacklist.has(merchant)) {
-      score += this.cfg.merchant_blacklist_weight * 100;
-    }
+const LEGACY_RULES = [legacyLargeAmount, rules.foreignCountry, rules.offHours, rules.merchantBlacklist];
 
-    return Math.min(100.0, Math.round(score * 100) / 100);
-  }
+function toEngineOptions(cfg) {
+  const opts = { rules: LEGACY_RULES };
+  for (const [k, v] of Object.entries({ ...LEGACY_DEFAULTS, ...cfg })) opts[LEGACY_KEYS[k] || k] = v;
+  return opts;
+}
 
-  batchScore(list) {
-    return list.map(tx => this.scoreTransaction(tx));
+class RiskEstimator extends Engine {
+  // A config file path (see fintrack-risk-lib/calibrate.js) is passed through.
+  constructor(cfg = {}) {
+    super(typeof cfg === 'string' ? cfg : toEngineOptions(cfg));
   }
 }
 
@@ -0,0 +1,187 @@
+// rulesets.js
+// The live risk rule set: lists, rules and weights as a declarative JSON or
+// YAML document (format and schema in fintrack-risk-lib/ruleset.js) that
+// admins can change without a redeploy.
+//
+// Every change is a numbered revision in risk_ruleset_revisions; the newest
+// one is live. Each process checks for a newer revision every
+// RISK_RULESET_POLL_MS (default 5000) and swaps its estimator in place, so
+// API and worker processes pick up a change within seconds. Fields a rule
+// set leaves out fall back to RISK_CONFIG (a config file written by the
+// calibration tool, fintrack-risk-lib/cli.js) and then to the library
+// defaults. The alert threshold that tool records in the file's calibration
+// block is the review queue's default threshold (see reviews.js).
+//
+// RISK_RULESET may name a .json, .yaml or .yml file. It is imported as a new
+// revision at startup and whenever the file changes, unless it matches the
+// live rule set; revisions made through the API don't write back to it.
+//
+// Scores carry the engine version (a hash of the rules and config, as
+// before) and the rule set revision that produced them.
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const db = require('./db');
+const { RiskEstimator, ruleset } = require('./fintrack-risk-lib');
+
+const RULESET_FILE = process.env.RISK_RULESET || null;
+const POLL_MS = Number(process.env.RISK_RULESET_POLL_MS || 5000);
+const CONFIG = new RiskEstimator(process.env.RISK_CONFIG || {});
+const BASE = CONFIG.cfg;
+
+let live = { revision:null, ruleset:null, estimator:new RiskEstimator(BASE) };
+
+// ---------- TABLES ----------
+async function initRulesetTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS risk_ruleset_revisions(
+      revision INTEGER PRIMARY KEY,
+      ruleset JSONB,
+      version TEXT,
+      source TEXT,
+      comment TEXT,
+      created_by TEXT,
+      created_email TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+  await refresh();
+  if (live.revision === null){
+    const defaults = { name:"default", ...ruleset.fromOptions(BASE) };
+    await save(defaults, { source:"default", comment:"built-in lists and weights" });
+  }
+  if (RULESET_FILE){
+    await importFile();
+    fs.watchFile(RULESET_FILE, { interval:POLL_MS }, () => importFile().catch(err =>
+      console.error(`ruleset file ${RULESET_FILE}:`, err.message)));
+  }
+  setInterval(() => refresh().catch(err => console.error("ruleset refresh:", err.message)), POLL_MS).unref();
+}
+
+// ---------- PARSING ----------
+class RulesetError extends Error {
+  constructor(message, errors = []){
+    super(message);
+    this.errors = errors;
+  }
+}
+
+const formatOf = name => /\.ya?ml$/i.test(name || "") ? "yaml" : "json";
+
+// Parses and validates a document given as text. Throws RulesetError.
+function parse(text, format = "json"){
+  let doc;
+  try{
+    doc = format === "yaml" ? YAML.parse(text) : JSON.parse(text);
+  }catch(err){
+    throw new RulesetError(`not valid ${format.toUpperCase()}: ${err.message}`);
+  }
+  return check(doc);
+}
+
+function check(doc){
+  const errors = ruleset.validate(doc);
+  if (errors.length) throw new RulesetError("ruleset does not match the schema", errors);
+  return doc;
+}
+
+const build = doc => new RiskEstimator(ruleset.toOptions(doc, BASE));
+
+function serialize(doc, format = "json"){
+  return format === "yaml" ? YAML.stringify(doc) : JSON.stringify(doc, null, 2) + "\n";
+}
+
+// ---------- REVISIONS ----------
+function use(row){
+  live = { revision:row.revision, ruleset:row.ruleset, estimator:build(row.ruleset) };
+}
+
+// Loads the newest revision if this process doesn't have it yet.
+async function refresh(){
+  const r = await db.query("SELECT revision,ruleset FROM risk_ruleset_revisions ORDER BY revision DESC LIMIT 1");
+  const row = r.rows[0];
+  if (!row || row.revision === live.revision) return false;
+  use(row);
+  console.log(`Risk ruleset revision ${row.revision} loaded (${live.estimator.version()})`);
+  return true;
+}
+
+// Stores a validated document as the newest revision and makes it live here.
+async function save(doc, { source = "api", comment = null, actor = null } = {}){
+  check(doc);
+  const version = build(doc).version();
+  const r = await db.query(`
+    INSERT INTO risk_ruleset_revisions(revision,ruleset,version,source,comment,created_by,created_email)
+    SELECT COALESCE(MAX(revision),0)+1, $1::jsonb, $2::text, $3::text, $4::text, $5::text, $6::text FROM risk_ruleset_revisions
+    RETURNING revision, created_at
+  `, [doc, version, source, comment, actor ? actor.id : null, actor ? actor.email : null]);
+  const row = r.rows[0];
+  use({ revision:row.revision, ruleset:doc });
+  return { revision:row.revision, version, created_at:row.created_at };
+}
+
+const same = (a, b) => JSON.stringify(ruleset.toOptions(a, BASE)) === JSON.stringify(ruleset.toOptions(b, BASE));
+
+async function importFile(){
+  if (!fs.existsSync(RULESET_FILE)) return null;
+  const doc = parse(fs.readFileSync(RULESET_FILE, "utf8"), formatOf(RULESET_FILE));
+  await refresh();
+  if (live.ruleset && same(doc, live.ruleset)) return null;
+  const saved = await save(doc, { source:"file", comment:path.basename(RULESET_FILE) });
+  console.log(`Risk ruleset imported from ${RULESET_FILE} as revision ${saved.revision}`);
+  return saved;
+}
+
+async function listRevisions(limit = 50){
+  const r = await db.query(`
+    SELECT revision,version,source,comment,created_by,created_email,created_at
+    FROM risk_ruleset_revisions ORDER BY revision DESC LIMIT $1
+  `, [limit]);
+  return r.rows;
+}
+
+async function getRevision(revision){
+  const r = await db.query("SELECT * FROM risk_ruleset_revisions WHERE revision=$1", [revision]);
+  return r.rows[0] || null;
+}
+
+// ---------- LIVE ----------
+const estimator = () => live.estimator;
+
+// RISK_CONFIG's calibration block, or null.
+const calibration = () => CONFIG.calibration;
+
+function current(){
+  return { revision:live.revision, version:live.estimator.version(), ruleset:live.ruleset };
+}
+
+// The live document with every field filled in, as scoring sees it.
+function effective(){
+  const est = live.estimator;
+  return { name:live.ruleset && live.ruleset.name, ...ruleset.fromOptions(est.cfg, est.rules.map(r => r.id)) };
+}
+
+// Scores with the live rule set, stamping the revision on the explanation.
+function explain(tx, ctx){
+  return { ...live.estimator.explain(tx, ctx), ruleset_revision:live.revision };
+}
+
+module.exports = {
+  SCHEMA: ruleset.SCHEMA,
+  RulesetError,
+  initRulesetTables,
+  formatOf,
+  parse,
+  check,
+  serialize,
+  refresh,
+  save,
+  listRevisions,
+  getRevision,
+  current,
+  effective,
+  estimator,
+  calibration,
+  explain
+};
@@ -0,0 +1,312 @@
+// scoring.js
+// Glue between Postgres and fintrack-risk-lib: loads the context a transaction
+// is scored against, records every score in the risk_scores history table and
+// runs the background rescore job. Scores that reach the review threshold
+// open a case in the review queue (see reviews.js). The live estimator comes
+// from the admin-managed rule set (see rulesets.js).
+//
+// Unless ANOMALY=off, every score also runs the statistical AnomalyDetector
+// against the user's history and the merchant's, and the stored score is the
+// rule score combined with the anomaly score as documented in
+// fintrack-risk-lib/anomaly.js; the explanation keeps both (`rule_score`,
+// `anomaly`). ANOMALY_WEIGHT (default 0.5) is how far an anomaly may raise a
+// score towards 1. The version stamped on such scores is the engine version
+// with the detector's appended ("<engine>|anomaly-<detector>"), so scores
+// from different detector settings, or without it, are never compared or
+// rolled back as one version.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const { RiskEstimator, AnomalyDetector } = require('./fintrack-risk-lib');
+const reviews = require('./reviews');
+const rulesets = require('./rulesets');
+
+// Score against each user's own history unless RISK_HISTORY=off.
+const RISK_HISTORY = process.env.RISK_HISTORY !== "off";
+const HISTORY_LIMIT = Number(process.env.RISK_HISTORY_LIMIT || 500);
+const MERCHANT_HISTORY_LIMIT = Number(process.env.ANOMALY_MERCHANT_LIMIT || 1000);
+const anomaly = process.env.ANOMALY === "off"
+  ? null
+  : new AnomalyDetector(process.env.ANOMALY_WEIGHT ? { anomalyWeight:Number(process.env.ANOMALY_WEIGHT) } : {});
+
+// ---------- TABLES ----------
+async function initScoringTables(){
+  await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS ruleset_version TEXT");
+
+  // One row per rule-set version, with the config that defines it.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS risk_rulesets(
+      version TEXT PRIMARY KEY,
+      rules JSONB,
+      config JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+  // Every score ever produced, so versions can be compared and rolled back.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS risk_scores(
+      id TEXT PRIMARY KEY,
+      transaction_id TEXT,
+      ruleset_version TEXT,
+      risk_score NUMERIC,
+      risk_explanation JSONB,
+      job_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS risk_scores_tx ON risk_scores(transaction_id, created_at)");
+  await db.query("CREATE INDEX IF NOT EXISTS risk_scores_version ON risk_scores(ruleset_version)");
+  // Merchant history for the anomaly detector.
+  await db.query("CREATE INDEX IF NOT EXISTS transactions_merchant_ts ON transactions(LOWER(merchant), timestamp)");
+}
+
+// ---------- CONTEXT ----------
+// Most recent rows for a user, used as the baseline for history-aware scoring.
+async function loadHistory(user_id){
+  if (!RISK_HISTORY) return null;
+  const r = await db.query(
+    "SELECT amount,country,merchant,timestamp,category FROM transactions WHERE user_id=$1 ORDER BY timestamp DESC LIMIT $2",
+    [user_id, HISTORY_LIMIT]
+  );
+  return r.rows;
+}
+
+// A transaction and the parts split from it share a group: the id of the
+// original. Parts of one payment are never each other's context.
+const splitGroup = row => row.split_from || row.id;
+
+// Rows close enough in time to a transaction for the velocity rules to see,
+// leaving out the split group `exclude_group` (the transaction itself and
+// any parts of it, when it is stored).
+async function loadRecent(user_id, timestamp, est = rulesets.estimator(), exclude_group = null){
+  const t = new Date(timestamp);
+  if (isNaN(t)) return [];
+  const span = est.velocityHorizonMs();
+  const r = await db.query(
+    "SELECT id,amount,country,merchant,timestamp,split_from FROM transactions WHERE user_id=$1 AND timestamp BETWEEN $2 AND $3",
+    [user_id, new Date(t.getTime() - span).toISOString(), new Date(t.getTime() + span).toISOString()]
+  );
+  return r.rows.filter(x => splitGroup(x) !== exclude_group);
+}
+
+// Everyone's transactions at a merchant before `timestamp`, newest first,
+// for the anomaly detector.
+async function loadMerchantHistory(merchant, timestamp, exclude_id = null){
+  if (!anomaly || !merchant || isNaN(new Date(timestamp))) return [];
+  const r = await db.query(`
+    SELECT id,amount,timestamp FROM transactions
+    WHERE LOWER(merchant)=LOWER($1) AND timestamp < $2
+    ORDER BY timestamp DESC LIMIT $3
+  `, [merchant, new Date(timestamp).toISOString(), MERCHANT_HISTORY_LIMIT + 1]);
+  return r.rows.filter(x => x.id !== exclude_id).slice(0, MERCHANT_HISTORY_LIMIT);
+}
+
+// The version stamped on scores from an estimator.
+const versionOf = est => anomaly ? `${est.version()}|anomaly-${anomaly.version()}` : est.version();
+
+// Merges the anomaly detector's view into a rule explanation; `version`
+// becomes the combined one and the engine's moves to `rule_version`.
+function withAnomaly(explanation, tx, history, merchantHistory){
+  if (!anomaly) return explanation;
+  const combined = anomaly.combine(explanation, anomaly.explain(tx, { history: history || [], merchantHistory }));
+  return { ...combined, version:`${explanation.version}|anomaly-${anomaly.version()}`, rule_version:explanation.version };
+}
+
+// Scores a new transaction. Pass `history` to reuse rows already loaded
+// (the CSV worker loads them once per file).
+async function scoreTransaction(tx, history){
+  if (history === undefined) history = await loadHistory(tx.user_id);
+  const recent = await loadRecent(tx.user_id, tx.timestamp);
+  const explanation = rulesets.explain(tx, history ? { history, recent } : { recent });
+  return withAnomaly(explanation, tx, history, await loadMerchantHistory(tx.merchant, tx.timestamp));
+}
+
+// ---------- HISTORY ----------
+const knownRulesets = new Set();
+
+async function registerRuleset(est){
+  const version = versionOf(est);
+  if (knownRulesets.has(version)) return version;
+  await db.query(`
+    INSERT INTO risk_rulesets(version,rules,config) VALUES($1,$2,$3)
+    ON CONFLICT (version) DO NOTHING
+  `, [version, JSON.stringify(est.rules.map(r => r.id)), anomaly ? { ...est.cfg, anomaly:anomaly.cfg } : est.cfg]);
+  knownRulesets.add(version);
+  return version;
+}
+
+async function recordScore(transaction_id, explanation, job_id = null, est = rulesets.estimator()){
+  await registerRuleset(est);
+  await db.query(`
+    INSERT INTO risk_scores(id,transaction_id,ruleset_version,risk_score,risk_explanation,job_id)
+    VALUES($1,$2,$3,$4,$5,$6)
+  `, [uuidv4(), transaction_id, explanation.version, explanation.score, explanation, job_id]);
+}
+
+// Inserts a scored transaction and records its first score. Returns false,
+// inserting nothing, when the user already has a row with its fingerprint
+// (see dedup.js).
+async function insertTransaction(id, tx, explanation){
+  const r = await db.query(`
+    INSERT INTO transactions(id,user_id,amount,country,merchant,timestamp,risk_score,risk_explanation,ruleset_version,
+      fingerprint,account,external_id,import_id,category,category_source)
+    VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+    ON CONFLICT (user_id, fingerprint) DO NOTHING
+  `, [id, tx.user_id, tx.amount, tx.country, tx.merchant, tx.timestamp, explanation.score, explanation, explanation.version,
+      tx.fingerprint || null, tx.account || null, tx.external_id || null, tx.import_id || null,
+      tx.category || null, tx.category_source || null]);
+  if (!r.rowCount) return false;
+  await recordScore(id, explanation);
+  await reviews.flagIfHigh(id, tx.user_id, explanation);
+  return true;
+}
+
+// Rescores one stored transaction after an edit: against the user's rows
+// before it and those around it, as the rescore job would, leaving out its
+// own split group. Updates the row, records the score and returns the
+// explanation (null if the row is gone).
+async function rescoreTransaction(id){
+  const r = await db.query("SELECT id,user_id,amount,country,merchant,timestamp,category,split_from FROM transactions WHERE id=$1", [id]);
+  const tx = r.rows[0];
+  if (!tx) return null;
+  const group = splitGroup(tx);
+  const history = RISK_HISTORY
+    ? (await db.query(
+        "SELECT amount,country,merchant,timestamp,category FROM transactions WHERE user_id=$1 AND COALESCE(split_from,id)<>$2 AND timestamp < $3 ORDER BY timestamp DESC LIMIT $4",
+        [tx.user_id, group, tx.timestamp, HISTORY_LIMIT]
+      )).rows
+    : null;
+  const recent = await loadRecent(tx.user_id, tx.timestamp, rulesets.estimator(), group);
+  const explanation = withAnomaly(
+    rulesets.explain(tx, history ? { history, recent } : { recent }),
+    tx, history, await loadMerchantHistory(tx.merchant, tx.timestamp, id)
+  );
+  await recordScore(id, explanation);
+  await db.query(
+    "UPDATE transactions SET risk_score=$2, risk_explanation=$3, ruleset_version=$4 WHERE id=$1",
+    [id, explanation.score, explanation, explanation.version]
+  );
+  await reviews.flagIfHigh(id, tx.user_id, explanation);
+  return explanation;
+}
+
+// ---------- RESCORE JOB ----------
+// Rescores one user's transactions (payload.user_id) or everyone's. Each
+// transaction's history is the rows that came before it, as on insert, but
+// the velocity rules see every row within their window on either side of
+// it, later ones included, as in an edit rescore. Parts of the same split
+// payment are left out of both. payload.config overrides the live estimator's config
+// for a trial run; it must be an options object, as a string would be read
+// as a file path. With payload.apply === false the new scores are only
+// recorded in risk_scores and transactions keep their current score.
+async function rescore(payload = {}, job_id = null){
+  if (payload.config && (typeof payload.config !== "object" || Array.isArray(payload.config))){
+    throw new Error("config must be an object of engine options");
+  }
+  const est = payload.config ? new RiskEstimator(payload.config) : rulesets.estimator();
+  const revision = payload.config ? null : rulesets.current().revision;
+  const apply = payload.apply !== false;
+  const version = await registerRuleset(est);
+  const span = est.velocityHorizonMs();
+
+  const users = payload.user_id
+    ? [payload.user_id]
+    : (await db.query("SELECT DISTINCT user_id FROM transactions")).rows.map(r => r.user_id);
+
+  let count = 0;
+  for(const user_id of users){
+    const r = await db.query(
+      "SELECT id,amount,country,merchant,timestamp,category,split_from FROM transactions WHERE user_id=$1 ORDER BY timestamp, created_at",
+      [user_id]
+    );
+    const rows = r.rows;
+
+    for(let i=0; i<rows.length; i++){
+      const tx = rows[i];
+      const group = splitGroup(tx);
+      const other = row => splitGroup(row) !== group;
+      const t = new Date(tx.timestamp).getTime();
+      const recent = [];
+      for(let j=i-1; j>=0 && t - new Date(rows[j].timestamp).getTime() <= span; j--) if (other(rows[j])) recent.push(rows[j]);
+      for(let j=i+1; j<rows.length && new Date(rows[j].timestamp).getTime() - t <= span; j++) if (other(rows[j])) recent.push(rows[j]);
+      const history = RISK_HISTORY ? rows.slice(Math.max(0, i - HISTORY_LIMIT), i).filter(other).reverse() : null;
+
+      const explanation = withAnomaly(
+        { ...est.explain(tx, history ? { history, recent } : { recent }), ruleset_revision:revision },
+        tx, history, await loadMerchantHistory(tx.merchant, tx.timestamp, tx.id)
+      );
+      await recordScore(tx.id, explanation, job_id, est);
+      if (apply){
+        await db.query(
+          "UPDATE transactions SET risk_score=$2, risk_explanation=$3, ruleset_version=$4 WHERE id=$1",
+          [tx.id, explanation.score, explanation, version]
+        );
+        await reviews.flagIfHigh(tx.id, user_id, explanation);
+      }
+      count++;
+    }
+  }
+  return { rescored: count, ruleset_version: version, applied: apply };
+}
+
+// ---------- COMPARE / ROLLBACK ----------
+// Latest score per transaction for one version, as a SQL fragment.
+const LATEST_FOR_VERSION = `
+  SELECT DISTINCT ON (transaction_id) transaction_id, risk_score, risk_explanation, ruleset_version
+  FROM risk_scores WHERE ruleset_version=$1
+  ORDER BY transaction_id, created_at DESC`;
+
+async function compareVersions(from, to, user_id){
+  const params = [from, to];
+  let userFilter = "";
+  if (user_id){ params.push(user_id); userFilter = "AND t.user_id=$3"; }
+
+  const r = await db.query(`
+    SELECT t.id, t.user_id, t.amount, t.merchant, t.timestamp,
+           a.risk_score AS from_score, b.risk_score AS to_score
+    FROM transactions t
+    JOIN (${LATEST_FOR_VERSION}) a ON a.transaction_id=t.id
+    JOIN (${LATEST_FOR_VERSION.replace("$1","$2")}) b ON b.transaction_id=t.id
+    WHERE 1=1 ${userFilter}
+    ORDER BY ABS(b.risk_score - a.risk_score) DESC
+  `, params);
+
+  const rows = r.rows.map(x => ({ ...x, from_score:Number(x.from_score), to_score:Number(x.to_score) }));
+  const deltas = rows.map(x => x.to_score - x.from_score);
+  return {
+    from, to,
+    compared: rows.length,
+    changed: deltas.filter(d => d !== 0).length,
+    mean_delta: rows.length ? Math.round(deltas.reduce((s,d)=> s+d, 0) / rows.length * 1000) / 1000 : 0,
+    transactions: rows
+  };
+}
+
+// Puts each transaction's latest score under `version` back as its current one.
+async function rollback(version, user_id){
+  const params = [version];
+  let userFilter = "";
+  if (user_id){ params.push(user_id); userFilter = "AND t.user_id=$2"; }
+
+  const r = await db.query(`
+    UPDATE transactions t
+    SET risk_score=s.risk_score, risk_explanation=s.risk_explanation, ruleset_version=s.ruleset_version
+    FROM (${LATEST_FOR_VERSION}) s
+    WHERE t.id=s.transaction_id ${userFilter}
+  `, params);
+  return { version, restored: r.rowCount };
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  get estimator(){ return rulesets.estimator(); },
+  version: () => versionOf(rulesets.estimator()),
+  initScoringTables,
+  loadHistory,
+  scoreTransaction,
+  recordScore,
+  insertTransaction,
+  rescoreTransaction,
+  rescore,
+  compareVersions,
+  rollback
+};
@@ -4,26 +4,68 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const multer = require('multer');
-const fs = require('fs');
 const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const db = require('./db');
-const { RiskEstimator } = require('./fintrack-risk-lib');
+const scoring = require('./scoring');
+const jobs = require('./jobs');
+const importer = require('./importer');
+const mappings = require('./mappings');
+const statements = require('./statements');
+const dedup = require('./dedup');
+const auth = require('./auth');
+const categories = require('./categories');
+const notifications = require('./notifications');
+const budgets = require('./budgets');
+const recurring = require('./recurring');
+const dashboard = require('./dashboard');
+const transactions = require('./transactions');
+const audit = require('./audit');
+const webhooks = require('./webhooks');
+const reviews = require('./reviews');
+const rulesets = require('./rulesets');
+const storage = require('./storage');
+const attachments = require('./attachments');
+const { parseAmount, parseDate } = require('./parsing');
 
 const app = express();
 app.use(bodyParser.json());
 
 const PORT = process.env.PORT || 8000;
-const UPLOAD_DIR = "/tmp/uploads";
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive:true });
+// "api" serves HTTP only, "worker" only runs jobs, "both" (default) does both.
+// Set with --mode=worker or SERVER_MODE=worker.
+const modeArg = process.argv.find(a => a.startsWith("--mode="));
+const MODE = (modeArg ? modeArg.slice("--mode=".length) : process.env.SERVER_MODE) || "both";
+if (!["api","worker","both"].includes(MODE)) {
+  console.error(`Unknown mode "${MODE}": use api, worker or both`);
+  process.exit(1);
+}
+
+// Base URL for links in emails. It never comes from the request, where a
+// forged Host header would put someone else's site in the link.
+const APP_URL = (process.env.APP_URL || (process.env.NODE_ENV === "production" ? "" : `http://localhost:${PORT}`)).replace(/\/+$/, "");
+if (!APP_URL && MODE !== "worker") {
+  console.error("APP_URL must be set in production: the public base URL used in sign-in links");
+  process.exit(1);
+}
 
 const upload = multer();
-const estimator = new RiskEstimator();
+
+jobs.registerHandler("parse_csv", importer.parseCsvJob, { cleanup: importer.removeUpload });
+jobs.registerHandler("parse_statement", importer.parseStatementJob, { cleanup: importer.removeUpload });
+jobs.registerHandler("rescore", job => scoring.rescore(job.payload, job.id));
+jobs.registerHandler("webhook_delivery", webhooks.deliver);
 
 // ---------- DB TABLES ----------
+// API and worker processes often boot together. An advisory lock, held on one
+// connection for the whole setup, makes them take turns: the schema changes
+// and the fingerprint backfill are not safe to run side by side.
+const INIT_LOCK = 48151623;
+
 async function initTables() {
+  const client = await db.pool.connect();
   try {
+    await client.query("SELECT pg_advisory_lock($1)", [INIT_LOCK]);
     await db.query(`
       CREATE TABLE IF NOT EXISTS users(
         id TEXT PRIMARY KEY,
@@ -39,8 +81,11 @@ async function initTables() {
         merchant TEXT,
         timestamp TIMESTAMP,
         risk_score NUMERIC,
+        risk_explanation JSONB,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )`);
+    await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS risk_explanation JSONB");
+    await db.query("CREATE INDEX IF NOT EXISTS transactions_user_ts ON transactions(user_id, timestamp)");
 
     await db.query(`
       CREATE TABLE IF NOT EXISTS jobs(
@@ -50,159 +95,1305 @@ async function initTables() {
         status TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )`);
-  } catch(err) {
-    console.error("initTables error:", err);
+
+    await jobs.initJobTables();
+    await scoring.initScoringTables();
+    await rulesets.initRulesetTables();
+    await importer.initImportTables();
+    await mappings.initMappingTables();
+    await dedup.initDedupTables();
+    await auth.initAuthTables();
+    await categories.initCategoryTables();
+    await notifications.initNotificationTables();
+    await budgets.initBudgetTables();
+    await audit.initAuditTables();
+    await transactions.initTransactionTables();
+    await webhooks.initWebhookTables();
+    await reviews.initReviewTables();
+    await attachments.initAttachmentTables();
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [INIT_LOCK]).catch(() => {});
+    client.release();
   }
 }
 
 // ---------- AUTH ----------
-app.post("/api/auth/echo", async (req,res)=>{
-  const { email } = req.body || {};
-  if (!email) return res.status(400).json({ error:"email required" });
+const sessionBody = (user, token) => ({ id:user.id, email:user.email, token });
+
+app.post("/api/auth/register", async (req,res)=>{
+  try{
+    const email = auth.normalizeEmail((req.body || {}).email);
+    const password = (req.body || {}).password;
+    if (!auth.validEmail(email)) return res.status(400).json({ error:"valid email required" });
+    if (!password || String(password).length < 8) return res.status(400).json({ error:"password must be at least 8 characters" });
+
+    // Existing accounts (including ones from before passwords) set a password
+    // after signing in with a magic link, so nobody can claim them here.
+    if (await auth.findUser(email)) return res.status(409).json({ error:"email already registered, sign in or use a magic link" });
+
+    const user = await auth.createUser(email, auth.hashPassword(String(password)));
+    res.status(201).json(sessionBody(user, auth.startSession(res, user)));
+  }catch(err){
+    res.status(500).json({ error:"register failed", details:err.message });
+  }
+});
 
-  const r = await db.query("SELECT id,email FROM users WHERE email=$1", [email]);
-  if (r.rowCount > 0) return res.json(r.rows[0]);
+app.post("/api/auth/login", async (req,res)=>{
+  try{
+    const { email, password } = req.body || {};
+    if (!email || !password) return res.status(400).json({ error:"email and password required" });
+    const user = await auth.findUser(email);
+    if (!user || !auth.verifyPassword(String(password), user.password_hash))
+      return res.status(401).json({ error:"invalid email or password" });
+    res.json(sessionBody(user, auth.startSession(res, user)));
+  }catch(err){
+    res.status(500).json({ error:"login failed", details:err.message });
+  }
+});
 
-  const id = uuidv4();
-  await db.query("INSERT INTO users(id,email) VALUES($1,$2)", [id,email]);
-  res.json({ id,email });
+// Always answers the same way, so it can't be used to probe which emails
+// have accounts. New emails get an account when the link is opened.
+app.post("/api/auth/magic-link", async (req,res)=>{
+  try{
+    const email = auth.normalizeEmail((req.body || {}).email);
+    if (!auth.validEmail(email)) return res.status(400).json({ error:"valid email required" });
+    const user = (await auth.findUser(email)) || { email };
+    await auth.sendMagicLink(user, APP_URL);
+    res.json({ sent:true });
+  }catch(err){
+    res.status(500).json({ error:"magic link failed", details:err.message });
+  }
+});
+
+// Opened from the email: sets the session cookie and goes to the app.
+app.get("/api/auth/magic-link/verify", async (req,res)=>{
+  try{
+    const user = await auth.consumeMagicLink(req.query.token);
+    if (!user) return res.status(401).json({ error:"link invalid or expired" });
+    auth.startSession(res, user);
+    res.redirect("/");
+  }catch(err){
+    res.status(500).json({ error:"sign-in failed", details:err.message });
+  }
+});
+
+// The same for API clients: { token } in, session token out.
+app.post("/api/auth/magic-link/verify", async (req,res)=>{
+  try{
+    const user = await auth.consumeMagicLink((req.body || {}).token);
+    if (!user) return res.status(401).json({ error:"link invalid or expired" });
+    res.json(sessionBody(user, auth.startSession(res, user)));
+  }catch(err){
+    res.status(500).json({ error:"sign-in failed", details:err.message });
+  }
+});
+
+// Everything below needs a session; req.user is the signed-in user.
+app.use("/api", auth.requireAuth);
+
+app.get("/api/auth/me", (req,res)=>{
+  res.json(req.user);
+});
+
+// Sets or changes the password. Changing one needs the current password.
+// Other sessions end; the response carries a new token for this one.
+app.post("/api/auth/password", async (req,res)=>{
+  try{
+    const { current_password, password } = req.body || {};
+    if (!password || String(password).length < 8) return res.status(400).json({ error:"password must be at least 8 characters" });
+    const user = await auth.findUser(req.user.email);
+    if (user.password_hash && !auth.verifyPassword(String(current_password || ""), user.password_hash))
+      return res.status(401).json({ error:"current password is wrong" });
+    const updated = await auth.setPassword(user.id, String(password));
+    res.json({ updated:true, token:auth.startSession(res, updated) });
+  }catch(err){
+    res.status(500).json({ error:"password change failed", details:err.message });
+  }
+});
+
+// Signs out everywhere: every token issued so far stops working.
+app.post("/api/auth/logout", async (req,res)=>{
+  try{
+    await auth.revokeSessions(req.user.id);
+    auth.clearSession(res);
+    res.json({ signed_out:true });
+  }catch(err){
+    res.status(500).json({ error:"sign-out failed", details:err.message });
+  }
 });
 
 // ---------- ADD TX ----------
 app.post("/api/transactions", async (req,res)=>{
   try{
     const body = req.body || {};
-    if (!body.user_id) return res.status(400).json({ error:"user_id required" });
 
-    const rawAmount = body.amount || "0";
-    const amount = Number(String(rawAmount).replace(/[^0-9.-]/g,"")) || 0;
+    // Optional `locale` and `date_format` say how amount and timestamp are written.
+    const fmt = { locale: body.locale, date_format: body.date_format };
+    const amount = parseAmount(body.amount || "0", fmt);
+    if (amount === null) return res.status(400).json({ error:`amount "${body.amount}" is not a number` });
+    const timestamp = body.timestamp ? parseDate(body.timestamp, fmt) : new Date().toISOString();
+    if (!timestamp) return res.status(400).json({ error:`timestamp "${body.timestamp}" is not a valid date` });
 
     const tx = {
-      user_id: body.user_id,
+      user_id: req.user.id,
       amount,
       country: body.country || "Ireland",
       merchant: body.merchant || "unknown",
-      timestamp: body.timestamp || new Date().toISOString()
+      timestamp
     };
 
     const id = uuidv4();
-    const score = estimator.scoreTransaction(tx);
-
-    await db.query(`
-      INSERT INTO transactions(id,user_id,amount,country,merchant,timestamp,risk_score)
-      VALUES($1,$2,$3,$4,$5,$6,$7)
-    `, [id, tx.user_id, tx.amount, tx.country, tx.merchant, tx.timestamp, score]);
+    await categories.assign(tx);
+    const explanation = await scoring.scoreTransaction(tx);
+    // Manual entries are never deduplicated; a clash only means another entry
+    // took the same occurrence number at the same moment, so take the next.
+    let inserted = false;
+    for(let attempt=0; !inserted && attempt<3; attempt++){
+      tx.fingerprint = await dedup.nextFingerprint(tx);
+      inserted = await scoring.insertTransaction(id, tx, explanation);
+    }
+    if (!inserted) return res.status(409).json({ error:"could not store transaction, try again" });
+    // The row is stored by now; a failed budget check or webhook queueing
+    // must not turn into an error the client would retry.
+    const alerts = await budgets.checkAlerts(tx.user_id, [tx.timestamp]).catch(err => {
+      console.error("budget check failed:", err.message);
+      return [];
+    });
+    const webhooksQueued = await webhooks.trigger(id, tx, explanation).catch(err => {
+      console.error("webhook trigger failed:", err.message);
+      return 0;
+    });
 
-    res.json({ id, risk_score:score });
+    res.json({ id, category:tx.category, risk_score:explanation.score, risk_explanation:explanation, budget_alerts:alerts, webhooks_queued:webhooksQueued });
   } catch(err){
     res.status(500).json({ error:"server error" });
   }
 });
 
 // ---------- GET TX ----------
+// Filters: from, to, min_amount, max_amount, min_risk, and comma-separated
+// merchant, country and category; q searches the merchant. sort is timestamp
+// (default), amount or risk with order desc (default) or asc. Pass the
+// returned next_cursor back as ?cursor= (same filters and sort) for the next
+// page; it is null on the last one.
 app.get("/api/transactions", async (req,res)=>{
-  const user_id = req.query.user_id;
-  if (!user_id) return res.status(400).json({ error:"user_id required" });
+  const { opts, error } = transactions.readListQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  try{
+    res.json(await transactions.listTransactions(req.user.id, opts));
+  }catch(err){
+    res.status(500).json({ error:"listing failed", details:err.message });
+  }
+});
+
+// ---------- EDIT TX ----------
+// Reads the editable fields present in the body (amount, country, merchant,
+// timestamp, category, notes, tags); `locale` and `date_format` work as on
+// POST. Responds with 400 and returns null when a field is unusable.
+function readTransactionEdit(req, res){
+  const body = req.body || {};
+  const fmt = { locale: body.locale, date_format: body.date_format };
+  const changes = {};
+  const bad = error => (res.status(400).json({ error }), null);
 
-  const r = await db.query(
-    "SELECT * FROM transactions WHERE user_id=$1 ORDER BY created_at DESC LIMIT 1000",
-    [user_id]
-  );
-  res.json(r.rows);
+  if (body.amount !== undefined){
+    changes.amount = parseAmount(body.amount, fmt);
+    if (changes.amount === null) return bad(`amount "${body.amount}" is not a number`);
+  }
+  if (body.timestamp !== undefined){
+    changes.timestamp = parseDate(body.timestamp, fmt);
+    if (!changes.timestamp) return bad(`timestamp "${body.timestamp}" is not a valid date`);
+  }
+  for(const k of ["country","merchant"]){
+    if (body[k] === undefined) continue;
+    changes[k] = String(body[k] || "").trim();
+    if (!changes[k] || changes[k].length > 200) return bad(`${k} must be 1-200 characters`);
+  }
+  if (body.category !== undefined){
+    if (!categories.validCategory(body.category)) return bad("category must be a lower-case id like groceries");
+    changes.category = body.category;
+  }
+  if (body.notes !== undefined){
+    if (body.notes !== null && typeof body.notes !== "string") return bad("notes must be text");
+    changes.notes = body.notes ? body.notes.trim().slice(0, 2000) || null : null;
+  }
+  if (body.tags !== undefined){
+    const tags = readTags(body.tags);
+    if (!tags) return bad("tags must be a list of up to 20 labels of at most 40 characters");
+    changes.tags = tags;
+  }
+  if (!Object.keys(changes).length) return bad("nothing to change");
+  return changes;
+}
+
+// Free-form labels: trimmed, empty ones dropped, duplicates removed.
+function readTags(raw){
+  if (!Array.isArray(raw)) return null;
+  const tags = [...new Set(raw.map(t => String(t ?? "").trim()).filter(Boolean))];
+  if (tags.length > 20 || tags.some(t => t.length > 40)) return null;
+  return tags;
+}
+
+app.get("/api/transactions/:id", async (req,res)=>{
+  try{
+    const tx = await transactions.getTransaction(req.user.id, req.params.id);
+    if (!tx) return res.status(404).json({ error:"transaction not found" });
+    res.json(tx);
+  }catch(err){
+    res.status(500).json({ error:"transaction lookup failed", details:err.message });
+  }
+});
+
+// Changes any of the fields readTransactionEdit accepts. Edits to amount,
+// country, merchant or timestamp rescore the transaction.
+app.patch("/api/transactions/:id", async (req,res)=>{
+  const changes = readTransactionEdit(req, res);
+  if (!changes) return;
+  try{
+    const result = await transactions.updateTransaction(req.user.id, req.params.id, changes, req.user);
+    if (!result) return res.status(404).json({ error:"transaction not found" });
+    if (result.changed.some(k => ["amount","timestamp"].includes(k))){
+      result.budget_alerts = await budgets.checkAlerts(req.user.id, [result.transaction.timestamp]).catch(err => {
+        console.error("budget check failed:", err.message);
+        return [];
+      });
+    }
+    res.json(result);
+  }catch(err){
+    res.status(500).json({ error:"update failed", details:err.message });
+  }
+});
+
+app.delete("/api/transactions/:id", async (req,res)=>{
+  try{
+    const deleted = await transactions.deleteTransaction(req.user.id, req.params.id, req.user);
+    if (!deleted) return res.status(404).json({ error:"transaction not found" });
+    if (deleted.error) return res.status(409).json({ error:deleted.error });
+    res.json({ deleted:true });
+  }catch(err){
+    res.status(500).json({ error:"delete failed", details:err.message });
+  }
+});
+
+// Splits a transaction into parts: { parts:[{ amount, category?, notes?,
+// tags? }, ...] } with non-zero amounts of the original's sign adding up to
+// it. The first part stays on the original transaction.
+app.post("/api/transactions/:id/split", async (req,res)=>{
+  const body = req.body || {};
+  if (!Array.isArray(body.parts) || body.parts.length < 2 || body.parts.length > 20){
+    return res.status(400).json({ error:"parts must be a list of 2 to 20 parts" });
+  }
+  const fmt = { locale: body.locale };
+  const parts = [];
+  for(const p of body.parts){
+    const amount = parseAmount((p || {}).amount, fmt);
+    if (amount === null) return res.status(400).json({ error:`part amount "${(p || {}).amount}" is not a number` });
+    if (p.category !== undefined && p.category !== null && !categories.validCategory(p.category)){
+      return res.status(400).json({ error:"category must be a lower-case id like groceries" });
+    }
+    const tags = p.tags === undefined ? undefined : readTags(p.tags);
+    if (tags === null) return res.status(400).json({ error:"tags must be a list of up to 20 labels of at most 40 characters" });
+    parts.push({ amount, category:p.category || null, notes:typeof p.notes === "string" ? p.notes.trim().slice(0, 2000) : null, tags });
+  }
+  try{
+    const result = await transactions.splitTransaction(req.user.id, req.params.id, parts, req.user);
+    if (!result) return res.status(404).json({ error:"transaction not found" });
+    if (result.error) return res.status(result.conflict ? 409 : 400).json({ error:result.error });
+    res.json(result);
+  }catch(err){
+    res.status(500).json({ error:"split failed", details:err.message });
+  }
+});
+
+// ---------- ATTACHMENTS ----------
+// Receipts and documents on a transaction (see attachments.js). Upload is
+// multipart with a `file` field.
+const attachmentUpload = multer({ limits:{ fileSize:attachments.MAX_BYTES, files:1 } });
+
+// multer's own errors (too large, unexpected field) as 4xx answers.
+function readAttachmentFile(req, res, next){
+  attachmentUpload.single("file")(req, res, err => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error:`file is larger than ${attachments.MAX_BYTES} bytes` });
+    res.status(400).json({ error:err.message });
+  });
+}
+
+app.post("/api/transactions/:id/attachments", readAttachmentFile, async (req,res)=>{
+  try{
+    if (!req.file) return res.status(400).json({ error:"file required" });
+    const tx = await transactions.getTransaction(req.user.id, req.params.id);
+    if (!tx) return res.status(404).json({ error:"transaction not found" });
+    const result = await attachments.addAttachment(req.user.id, tx.id, req.file, req.user);
+    if (result.error) return res.status(result.status).json({ error:result.error });
+    res.status(201).json(result.attachment);
+  }catch(err){
+    res.status(500).json({ error:"attachment upload failed", details:err.message });
+  }
 });
 
+app.get("/api/transactions/:id/attachments", async (req,res)=>{
+  try{
+    const tx = await transactions.getTransaction(req.user.id, req.params.id);
+    if (!tx) return res.status(404).json({ error:"transaction not found" });
+    res.json(await attachments.listAttachments(req.user.id, tx.id));
+  }catch(err){
+    res.status(500).json({ error:"attachments failed", details:err.message });
+  }
+});
+
+// The file itself; ?inline=true asks the browser to show it rather than
+// save it.
+app.get("/api/transactions/:id/attachments/:attachment_id", async (req,res)=>{
+  try{
+    const a = await attachments.getAttachment(req.user.id, req.params.id, req.params.attachment_id);
+    if (!a) return res.status(404).json({ error:"attachment not found" });
+    let body;
+    try{ body = await attachments.readAttachment(a); }
+    catch(err){
+      if (err.code === "NOT_FOUND") return res.status(410).json({ error:"attachment file is missing from storage" });
+      throw err;
+    }
+    res.attachment(a.filename);
+    if (req.query.inline === "true") res.set("Content-Disposition", res.get("Content-Disposition").replace(/^attachment/, "inline"));
+    res.set("X-Content-Type-Options", "nosniff");
+    res.type(a.content_type).send(body);
+  }catch(err){
+    res.status(500).json({ error:"attachment download failed", details:err.message });
+  }
+});
+
+app.delete("/api/transactions/:id/attachments/:attachment_id", async (req,res)=>{
+  try{
+    const a = await attachments.getAttachment(req.user.id, req.params.id, req.params.attachment_id);
+    if (!a) return res.status(404).json({ error:"attachment not found" });
+    await attachments.deleteAttachment(a, req.user);
+    res.json({ deleted:true });
+  }catch(err){
+    res.status(500).json({ error:"attachment delete failed", details:err.message });
+  }
+});
+
+// ---------- AUDIT ----------
+// A transaction's change history; still available after it is deleted.
+app.get("/api/transactions/:id/audit", async (req,res)=>{
+  try{
+    res.json(await audit.history(req.user.id, "transaction", req.params.id));
+  }catch(err){
+    res.status(500).json({ error:"audit lookup failed", details:err.message });
+  }
+});
+
+// The signed-in user's recent changes, newest first. ?entity=transaction
+// narrows it to one kind of record.
+app.get("/api/audit", async (req,res)=>{
+  try{
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json(await audit.list(req.user.id, { entity:req.query.entity || null, limit }));
+  }catch(err){
+    res.status(500).json({ error:"audit lookup failed", details:err.message });
+  }
+});
+
+// ---------- WEBHOOKS ----------
+// Checks a webhook body; responds with 400 and returns null when unusable.
+function readWebhook(req, res, existing = null){
+  const body = req.body || {};
+  const hook = {};
+  if (body.url !== undefined || !existing){
+    if (!webhooks.validUrl(body.url)) return res.status(400).json({ error:"url must be an http(s) URL" }), null;
+    hook.url = body.url;
+  }
+  if (body.threshold !== undefined){
+    const t = Number(body.threshold);
+    if (!(t >= 0 && t <= 1)) return res.status(400).json({ error:"threshold must be a risk score between 0 and 1" }), null;
+    hook.threshold = t;
+  }
+  if (body.description !== undefined) hook.description = String(body.description || "").slice(0, 200);
+  if (body.active !== undefined) hook.active = !!body.active;
+  if (body.rotate_secret) hook.rotate_secret = true;
+  if (!existing){
+    hook.scope = body.scope || "user";
+    if (!["user","all"].includes(hook.scope)) return res.status(400).json({ error:"scope must be user or all" }), null;
+    if (hook.scope === "all" && !req.user.admin) return res.status(403).json({ error:"only admins can register webhooks for all users" }), null;
+  }
+  return hook;
+}
+
+app.get("/api/webhooks", async (req,res)=>{
+  try{
+    res.json(await webhooks.listWebhooks(req.user));
+  }catch(err){
+    res.status(500).json({ error:"webhook lookup failed", details:err.message });
+  }
+});
+
+// { url, threshold? (0-1, default WEBHOOK_DEFAULT_THRESHOLD), description?,
+// scope? ("all" is admin-only) }. The response holds the signing secret,
+// which isn't shown again.
+app.post("/api/webhooks", async (req,res)=>{
+  const hook = readWebhook(req, res);
+  if (!hook) return;
+  try{
+    const problem = await webhooks.checkUrl(hook.url);
+    if (problem) return res.status(400).json({ error:`url not allowed: ${problem}` });
+    res.status(201).json(await webhooks.createWebhook(req.user, hook));
+  }catch(err){
+    res.status(500).json({ error:"webhook create failed", details:err.message });
+  }
+});
+
+// Also takes { active:false } to pause and { rotate_secret:true } for a new secret.
+app.put("/api/webhooks/:id", async (req,res)=>{
+  try{
+    const existing = await webhooks.getWebhook(req.params.id, req.user);
+    if (!existing) return res.status(404).json({ error:"webhook not found" });
+    const hook = readWebhook(req, res, existing);
+    if (!hook) return;
+    const problem = hook.url === undefined ? null : await webhooks.checkUrl(hook.url);
+    if (problem) return res.status(400).json({ error:`url not allowed: ${problem}` });
+    res.json(await webhooks.updateWebhook(existing, req.user, hook));
+  }catch(err){
+    res.status(500).json({ error:"webhook update failed", details:err.message });
+  }
+});
+
+app.delete("/api/webhooks/:id", async (req,res)=>{
+  try{
+    const existing = await webhooks.getWebhook(req.params.id, req.user);
+    if (!existing) return res.status(404).json({ error:"webhook not found" });
+    await webhooks.deleteWebhook(existing);
+    res.json({ deleted:true });
+  }catch(err){
+    res.status(500).json({ error:"webhook delete failed", details:err.message });
+  }
+});
+
+// Every delivery attempt, newest first.
+app.get("/api/webhooks/:id/deliveries", async (req,res)=>{
+  try{
+    const existing = await webhooks.getWebhook(req.params.id, req.user);
+    if (!existing) return res.status(404).json({ error:"webhook not found" });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json(await webhooks.listDeliveries(existing.id, limit));
+  }catch(err){
+    res.status(500).json({ error:"delivery lookup failed", details:err.message });
+  }
+});
+
+// Queues a signed "ping" to the webhook's URL (one attempt).
+app.post("/api/webhooks/:id/test", async (req,res)=>{
+  try{
+    const existing = await webhooks.getWebhook(req.params.id, req.user);
+    if (!existing) return res.status(404).json({ error:"webhook not found" });
+    res.json({ queued:true, job_id: await webhooks.sendTest(existing, req.user) });
+  }catch(err){
+    res.status(500).json({ error:"webhook test failed", details:err.message });
+  }
+});
+
+// ---------- REVIEW QUEUE ----------
+// For analysts: every route below needs an admin session.
+app.use("/api/reviews", auth.requireAdmin);
+
+// Resolves an assignee given as "me", an admin's email or user id, or null.
+// Responds with 400 and returns undefined when it isn't an admin.
+async function readAssignee(req, res, raw){
+  if (raw === null || raw === "") return null;
+  if (raw === "me") return req.user.id;
+  const r = await db.query("SELECT id,email FROM users WHERE id=$1 OR email=$2", [String(raw), auth.normalizeEmail(raw)]);
+  const user = r.rows[0];
+  if (!user || !auth.isAdmin(user.email)){
+    res.status(400).json({ error:"assignee must be an analyst (admin) account" });
+    return undefined;
+  }
+  return user.id;
+}
+
+// ?status= (default open; "all" for every status), ?assignee=me|none|<id>,
+// ?user_id=, ?limit=. Highest risk first, with counts per status.
+app.get("/api/reviews", async (req,res)=>{
+  try{
+    const status = req.query.status === "all" ? null : req.query.status || "open";
+    if (status && !reviews.STATUSES.includes(status)){
+      return res.status(400).json({ error:`status must be all or one of: ${reviews.STATUSES.join(", ")}` });
+    }
+    const assignee = req.query.assignee === "me" ? req.user.id : req.query.assignee || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json({
+      threshold: reviews.THRESHOLD,
+      counts: await reviews.counts(),
+      cases: await reviews.listCases({ status, assignee, user_id:req.query.user_id || null, limit })
+    });
+  }catch(err){
+    res.status(500).json({ error:"review lookup failed", details:err.message });
+  }
+});
+
+// Opens cases for existing transactions over the threshold (after lowering it).
+app.post("/api/reviews/sync", async (req,res)=>{
+  try{
+    res.json({ opened: await reviews.syncQueue() });
+  }catch(err){
+    res.status(500).json({ error:"review sync failed", details:err.message });
+  }
+});
+
+// Confirmed labels for evaluating and tuning the risk rules. ?format=csv
+// gives the file fintrack-risk-lib's tuning tool reads; ?since= limits it
+// to labels set since then.
+app.get("/api/reviews/labels", async (req,res)=>{
+  try{
+    const rows = await reviews.listLabels({ since:req.query.since || null });
+    if (req.query.format === "csv"){
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", "attachment; filename=\"fraud-labels.csv\"");
+      return res.send(reviews.labelsToCsv(rows));
+    }
+    res.json(rows);
+  }catch(err){
+    res.status(500).json({ error:"label export failed", details:err.message });
+  }
+});
+
+app.get("/api/reviews/:id", async (req,res)=>{
+  try{
+    const c = await reviews.getCase(req.params.id);
+    if (!c) return res.status(404).json({ error:"review not found" });
+    res.json(c);
+  }catch(err){
+    res.status(500).json({ error:"review lookup failed", details:err.message });
+  }
+});
+
+// { status?, assignee? ("me", an admin's email or id, or null), comment? }
+app.patch("/api/reviews/:id", async (req,res)=>{
+  try{
+    const c = await reviews.getCase(req.params.id);
+    if (!c) return res.status(404).json({ error:"review not found" });
+    const body = req.body || {};
+    const update = {};
+    if (body.status !== undefined){
+      if (!reviews.STATUSES.includes(body.status)){
+        return res.status(400).json({ error:`status must be one of: ${reviews.STATUSES.join(", ")}` });
+      }
+      update.status = body.status;
+    }
+    if (body.assignee !== undefined){
+      update.assignee_id = await readAssignee(req, res, body.assignee);
+      if (update.assignee_id === undefined) return;
+    }
+    const comment = typeof body.comment === "string" ? body.comment.trim() : "";
+    if (update.status === undefined && update.assignee_id === undefined && !comment){
+      return res.status(400).json({ error:"nothing to change" });
+    }
+    const changed = await reviews.updateCase(c, update, req.user);
+    if (comment) await reviews.addComment(c, req.user, comment.slice(0, 5000));
+    res.json({ changed, review: await reviews.getCase(c.id) });
+  }catch(err){
+    res.status(500).json({ error:"review update failed", details:err.message });
+  }
+});
+
+app.post("/api/reviews/:id/comments", async (req,res)=>{
+  try{
+    const c = await reviews.getCase(req.params.id);
+    if (!c) return res.status(404).json({ error:"review not found" });
+    const body = typeof (req.body || {}).body === "string" ? req.body.body.trim() : "";
+    if (!body) return res.status(400).json({ error:"body is required" });
+    res.status(201).json(await reviews.addComment(c, req.user, body.slice(0, 5000)));
+  }catch(err){
+    res.status(500).json({ error:"comment failed", details:err.message });
+  }
+});
+
+// ---------- CSV MAPPING ----------
+// Resolves the column mapping for an uploaded file from the request's
+// `mapping` (JSON), `profile_id` or `preset` fields, else by detection.
+// Responds with 400 and returns null when the file or mapping is unusable.
+async function mapUpload(req, res, user_id){
+  const text = req.file.buffer.toString("utf8");
+  const headers = importer.readHeaders(text);
+  if (!headers.length){ res.status(400).json({ error:"CSV empty" }); return null; }
+
+  const opts = {};
+  if (req.body.mapping){
+    try{ opts.mapping = typeof req.body.mapping === "string" ? JSON.parse(req.body.mapping) : req.body.mapping; }
+    catch(e){ res.status(400).json({ error:"mapping must be JSON" }); return null; }
+  } else if (req.body.profile_id){
+    opts.profile = await mappings.getProfile(req.body.profile_id, user_id);
+    if (!opts.profile){ res.status(404).json({ error:"mapping profile not found" }); return null; }
+  } else if (req.body.preset){
+    opts.preset = req.body.preset;
+  }
+
+  const { mapping, source, problems } = mappings.resolveMapping(headers, opts);
+  // An unknown preset comes back as problems with a null mapping.
+  if (problems.length){
+    let error = "CSV mapping incomplete";
+    if (problems.some(p => p.startsWith("no amount"))) error = "CSV missing amount column";
+    else if (problems.some(p => p.startsWith("no date"))) error = "CSV missing date/timestamp column";
+    res.status(400).json({ error, problems, headers, mapping, source });
+    return null;
+  }
+  // Per-upload overrides of how numbers and dates are written.
+  if (req.body.locale) mapping.locale = req.body.locale;
+  if (req.body.date_format) mapping.date_format = req.body.date_format;
+  return { text, headers, mapping, source };
+}
+
+// ---------- STATEMENT FILES ----------
+const STATEMENT_EXTENSIONS = { ofx:".ofx", qif:".qif", camt053:".xml" };
+
+// Reads an OFX/QFX, QIF or CAMT.053 upload. Options mirror a CSV mapping's
+// locale, date_format and default_country. Responds with 400 and returns
+// null when the format is unsupported or the file holds no transactions.
+function readStatement(req, res, format){
+  if (!statements.FORMATS.includes(format)){
+    res.status(400).json({ error:"unsupported file format", format });
+    return null;
+  }
+  const text = req.file.buffer.toString("utf8");
+  const options = {};
+  for(const k of ["locale","date_format","default_country"]) if (req.body[k]) options[k] = req.body[k];
+  const entries = statements.parseStatement(format, text, options);
+  if (!entries.length){
+    res.status(400).json({ error:`no transactions found in ${format.toUpperCase()} file`, format });
+    return null;
+  }
+  return { text, format, options, entries };
+}
+
+// Stores an upload for the import worker, which may run on another
+// instance (see storage.js). Returns the job payload fields that find it.
+async function saveUpload(req, ext){
+  const driver = storage.driver();
+  const key = storage.newKey(`imports/${req.user.id}`, ext);
+  await driver.put(key, req.file.buffer, "text/plain");
+  return { storage_driver:driver.name, storage_key:key };
+}
+
 // ---------- CSV UPLOAD WITH HEADER VALIDATION ----------
+// The format is taken from the file's content, not its name: CSV goes
+// through the column mapping, OFX/QFX, QIF and CAMT.053 through their parsers.
 app.post("/api/transactions/upload", upload.single("file"), async (req,res)=>{
   try{
     if (!req.file) return res.status(400).json({ error:"file required" });
-    const user_id = req.body.user_id;
-    if (!user_id) return res.status(400).json({ error:"user_id required" });
+    const user_id = req.user.id;
+
+    // The same file again is answered with its earlier import; force=true
+    // imports it anyway (rows already stored are still passed over).
+    const fileHash = dedup.hashFile(req.file.buffer);
+    const prior = await dedup.findImport(user_id, fileHash);
+    if (prior && req.body.force !== "true")
+      return res.json({ uploaded:false, duplicate:true, job_id:prior.job_id, imported_at:prior.created_at });
+
+    const format = statements.detectFormat(req.file.buffer.toString("utf8"));
+    if (format !== "csv"){
+      const stmt = readStatement(req, res, format);
+      if (!stmt) return;
+      const stored = await saveUpload(req, STATEMENT_EXTENSIONS[format]);
+      const payload = { user_id, ...stored, format, options: stmt.options };
+      const jobId = await jobs.enqueue("parse_statement", payload, user_id);
+      await dedup.recordImport(user_id, fileHash, jobId, format, req.file.originalname);
+      return res.json({ uploaded:true, storage_key:stored.storage_key, job_id:jobId, format });
+    }
+
+    const mapped = await mapUpload(req, res, user_id);
+    if (!mapped) return;
+
+    const stored = await saveUpload(req, ".csv");
+    const payload = { user_id, ...stored, mapping: mapped.mapping };
+    const jobId = await jobs.enqueue("parse_csv", payload, user_id);
+    await dedup.recordImport(user_id, fileHash, jobId, format, req.file.originalname);
+
+    res.json({ uploaded:true, storage_key:stored.storage_key, job_id:jobId, format, mapping:mapped.mapping, mapping_source:mapped.source });
+  }catch(err){
+    res.status(500).json({ error:"upload failed", details:err.message });
+  }
+});
+
+// Shows how a file would be imported - the mapping and the first `rows`
+// parsed rows - without storing anything.
+app.post("/api/transactions/upload/preview", upload.single("file"), async (req,res)=>{
+  try{
+    if (!req.file) return res.status(400).json({ error:"file required" });
+    const user_id = req.user.id;
 
-    const text = req.file.buffer.toString("utf8");
-    const firstLine = text.split(/\r?\n/).find(l => l.trim().length>0);
-    if (!firstLine) return res.status(400).json({ error:"CSV empty" });
+    const limit = Math.min(Math.max(Number(req.body.rows) || 10, 1), 100);
+    const format = statements.detectFormat(req.file.buffer.toString("utf8"));
+    if (format !== "csv"){
+      const stmt = readStatement(req, res, format);
+      if (!stmt) return;
+      return res.json({ format, total: stmt.entries.length, rows: stmt.entries.slice(0, limit) });
+    }
 
-    const normalize = h => String(h).replace(/^\uFEFF/,"")
-      .replace(/[()\[\]"]/g,"")
-      .replace(/[^\w\s\-]/g," ")
-      .replace(/\s+/g," ")
-      .trim()
-      .toLowerCase();
+    const mapped = await mapUpload(req, res, user_id);
+    if (!mapped) return;
 
-    const headers = firstLine.split(",").map(h => normalize(h));
+    res.json({
+      format,
+      headers: mapped.headers,
+      mapping: mapped.mapping,
+      mapping_source: mapped.source,
+      rows: importer.previewCsv(mapped.text, mapped.mapping, limit)
+    });
+  }catch(err){
+    res.status(500).json({ error:"preview failed", details:err.message });
+  }
+});
 
-    const needAmount = ["amount","amt","value","transaction_amount","monthly_expense_total"];
-    const needDate   = ["timestamp","date","datetime","transaction_date"];
+// ---------- DUPLICATES ----------
+// Imported rows that looked like an existing transaction, waiting for the
+// user to keep or discard them. ?status=kept|discarded lists resolved ones.
+app.get("/api/duplicates", async (req,res)=>{
+  try{
+    res.json(await dedup.listPending(req.user.id, req.query.status || "pending"));
+  }catch(err){
+    res.status(500).json({ error:"duplicate lookup failed", details:err.message });
+  }
+});
 
-    const has = (tokens) => headers.some(h => tokens.some(t => h.includes(t)));
+// { action:"keep"|"discard" }. Keeping scores and inserts the row.
+app.post("/api/duplicates/:id/resolve", async (req,res)=>{
+  try{
+    const { action } = req.body || {};
+    if (!["keep","discard"].includes(action)) return res.status(400).json({ error:"action must be keep or discard" });
 
-    if (!has(needAmount))
-      return res.status(400).json({ error:"CSV missing amount column", headers });
+    const pending = await dedup.getPending(req.params.id, req.user.id);
+    if (!pending) return res.status(404).json({ error:"duplicate not found" });
+    if (pending.status !== "pending") return res.status(409).json({ error:`already ${pending.status}` });
 
-    if (!has(needDate))
-      return res.status(400).json({ error:"CSV missing date/timestamp column", headers });
+    let id = null;
+    if (action === "keep"){
+      const tx = await categories.assign(pending.tx);
+      const explanation = await scoring.scoreTransaction(tx);
+      id = uuidv4();
+      // The fingerprint is taken when the same row was imported since.
+      if (!await scoring.insertTransaction(id, tx, explanation)){
+        return res.status(409).json({ error:"an identical transaction has been stored since; discard this one" });
+      }
+      // Stored; as on the other insert paths, alerts and webhooks must not fail the request.
+      await budgets.checkAlerts(req.user.id, [tx.timestamp]).catch(err => {
+        console.error("budget check failed:", err.message);
+      });
+      await webhooks.trigger(id, tx, explanation).catch(err => {
+        console.error("webhook trigger failed:", err.message);
+      });
+    }
+    await dedup.resolvePending(pending.id, action === "keep" ? "kept" : "discarded");
+    res.json({ id: pending.id, status: action === "keep" ? "kept" : "discarded", transaction_id: id });
+  }catch(err){
+    res.status(500).json({ error:"resolve failed", details:err.message });
+  }
+});
 
-    const filename = `${Date.now()}-${Math.random().toString(36).slice(2,8)}.csv`;
-    const localPath = path.join(UPLOAD_DIR, filename);
-    fs.writeFileSync(localPath, req.file.buffer);
+// ---------- CATEGORIES ----------
+app.get("/api/categories", (req,res)=>{
+  res.json(categories.TAXONOMY.map(({ id, name }) => ({ id, name })));
+});
 
-    const jobId = uuidv4();
-    const payload = { user_id, local_path: localPath };
+// The user's rules, including ones learned from manual overrides.
+app.get("/api/category-rules", async (req,res)=>{
+  try{
+    res.json(await categories.loadRules(req.user.id));
+  }catch(err){
+    res.status(500).json({ error:"rule lookup failed", details:err.message });
+  }
+});
 
-    await db.query(`
-      INSERT INTO jobs(id,type,payload,status)
-      VALUES($1,$2,$3,$4)
-    `, [jobId, "parse_csv", payload, "pending"]);
+// Checks a rule body; responds with 400 and returns null when unusable.
+function readRule(req, res, existing = {}){
+  const body = req.body || {};
+  const rule = {
+    pattern: body.pattern !== undefined ? String(body.pattern).trim() : existing.pattern,
+    match: body.match || existing.match || "contains",
+    category: body.category || existing.category
+  };
+  if (!rule.pattern) return res.status(400).json({ error:"pattern required" }), null;
+  if (!["contains","exact"].includes(rule.match)) return res.status(400).json({ error:"match must be contains or exact" }), null;
+  if (!categories.validCategory(rule.category)) return res.status(400).json({ error:"category must be a lower-case id like groceries" }), null;
+  return rule;
+}
 
-    res.json({ uploaded:true, path:localPath, job_id:jobId });
+// Creating, changing or deleting a rule re-categorises existing transactions
+// (except ones set by hand); `recategorized` says how many changed.
+app.post("/api/category-rules", async (req,res)=>{
+  try{
+    const rule = readRule(req, res);
+    if (!rule) return;
+    const saved = await categories.saveRule(req.user.id, rule);
+    res.status(201).json({ ...saved, recategorized: await categories.recategorize(req.user.id) });
   }catch(err){
-    res.status(500).json({ error:"upload failed", details:err.message });
+    res.status(500).json({ error:"rule save failed", details:err.message });
   }
 });
 
-// ---------- SIMPLE DASHBOARD ----------
-app.get("/api/dashboard", async (req,res)=>{
-  const user_id = req.query.user_id;
-  if (!user_id) return res.status(400).json({ error:"user_id required" });
+app.put("/api/category-rules/:id", async (req,res)=>{
+  try{
+    const existing = await categories.getRule(req.params.id, req.user.id);
+    if (!existing || existing.origin !== "user") return res.status(404).json({ error:"category rule not found" });
+    const rule = readRule(req, res, existing);
+    if (!rule) return;
+    const saved = await categories.saveRule(req.user.id, rule, existing.id);
+    res.json({ ...saved, recategorized: await categories.recategorize(req.user.id) });
+  }catch(err){
+    res.status(500).json({ error:"rule save failed", details:err.message });
+  }
+});
 
-  const r = await db.query(
-    "SELECT * FROM transactions WHERE user_id=$1 ORDER BY created_at DESC LIMIT 1000",
-    [user_id]
-  );
-  const txs = r.rows;
+app.delete("/api/category-rules/:id", async (req,res)=>{
+  try{
+    if (!await categories.deleteRule(req.params.id, req.user.id))
+      return res.status(404).json({ error:"category rule not found" });
+    res.json({ deleted:true, recategorized: await categories.recategorize(req.user.id) });
+  }catch(err){
+    res.status(500).json({ error:"rule delete failed", details:err.message });
+  }
+});
 
-  const total = txs.reduce((s,t)=> s + Number(t.amount||0), 0);
-  const byMonth = {};
-  for(const t of txs){
-    const m = new Date(t.timestamp).toISOString().slice(0,7);
-    byMonth[m] = (byMonth[m]||0) + Number(t.amount||0);
+// Sets one transaction's category by hand. Unless `learn` is false, future
+// imports from the same merchant get the same category.
+app.put("/api/transactions/:id/category", async (req,res)=>{
+  try{
+    const { category, learn } = req.body || {};
+    if (!categories.validCategory(category)) return res.status(400).json({ error:"category must be a lower-case id like groceries" });
+    const row = await transactions.getTransaction(req.user.id, req.params.id);
+    if (!row) return res.status(404).json({ error:"transaction not found" });
+    const result = await categories.override(req.user.id, req.params.id, category, learn !== false);
+    if (!result) return res.status(404).json({ error:"transaction not found" });
+    await transactions.auditCategory(req.user.id, row, category, req.user);
+    res.json(result);
+  }catch(err){
+    res.status(500).json({ error:"category update failed", details:err.message });
   }
+});
+
+// ---------- BUDGETS ----------
+// Checks a budget body; responds with 400 and returns null when unusable.
+function readBudget(req, res, existing = {}){
+  const body = req.body || {};
+  const budget = {
+    category: body.category !== undefined ? body.category || null : existing.category || null,
+    amount: body.amount !== undefined ? parseAmount(body.amount) : existing.amount,
+    thresholds: body.thresholds !== undefined ? body.thresholds : existing.thresholds
+  };
+  if (budget.category !== null && !categories.validCategory(budget.category))
+    return res.status(400).json({ error:"category must be a lower-case id like groceries, or null for overall" }), null;
+  if (!(budget.amount > 0)) return res.status(400).json({ error:"amount must be a positive number" }), null;
+  if (budget.thresholds !== undefined && budget.thresholds !== null &&
+      (!Array.isArray(budget.thresholds) || !budget.thresholds.every(t => Number.isInteger(t) && t > 0 && t <= 1000)))
+    return res.status(400).json({ error:"thresholds must be a list of whole percentages, e.g. [80,100]" }), null;
+  return budget;
+}
+
+// Budgets with progress for ?month=YYYY-MM (default: this month).
+app.get("/api/budgets", async (req,res)=>{
+  if (req.query.month && !budgets.validMonth(req.query.month)) return res.status(400).json({ error:"month must be YYYY-MM" });
+  try{
+    res.json(await budgets.progress(req.user.id, req.query.month || undefined));
+  }catch(err){
+    res.status(500).json({ error:"budget lookup failed", details:err.message });
+  }
+});
 
-  res.json({ count:txs.length, total, byMonth });
+app.post("/api/budgets", async (req,res)=>{
+  try{
+    const budget = readBudget(req, res);
+    if (!budget) return;
+    if (await budgets.findBudget(req.user.id, budget.category))
+      return res.status(409).json({ error:`a budget for ${budget.category || "overall"} already exists` });
+    res.status(201).json(await budgets.saveBudget(req.user.id, budget));
+  }catch(err){
+    res.status(500).json({ error:"budget save failed", details:err.message });
+  }
+});
+
+app.put("/api/budgets/:id", async (req,res)=>{
+  try{
+    const existing = await budgets.getBudget(req.params.id, req.user.id);
+    if (!existing) return res.status(404).json({ error:"budget not found" });
+    const budget = readBudget(req, res, existing);
+    if (!budget) return;
+    const clash = await budgets.findBudget(req.user.id, budget.category);
+    if (clash && clash.id !== existing.id)
+      return res.status(409).json({ error:`a budget for ${budget.category || "overall"} already exists` });
+    res.json(await budgets.saveBudget(req.user.id, budget, existing.id));
+  }catch(err){
+    res.status(500).json({ error:"budget save failed", details:err.message });
+  }
+});
+
+app.delete("/api/budgets/:id", async (req,res)=>{
+  try{
+    if (!await budgets.deleteBudget(req.params.id, req.user.id))
+      return res.status(404).json({ error:"budget not found" });
+    res.json({ deleted:true });
+  }catch(err){
+    res.status(500).json({ error:"budget delete failed", details:err.message });
+  }
+});
+
+// ---------- RECURRING ----------
+// Subscriptions and other recurring payments with their expected next date
+// and amount. ?flagged=true keeps only series with a missed payment or a
+// price increase; ?as_of=YYYY-MM-DD judges overdue payments as of that day.
+app.get("/api/recurring", async (req,res)=>{
+  try{
+    let today;
+    if (req.query.as_of){
+      const d = parseDate(req.query.as_of);
+      if (!d) return res.status(400).json({ error:"as_of must be a date" });
+      today = recurring.dayNumber(d);
+    }
+    let series = await recurring.recurringFor(req.user.id, today);
+    if (req.query.flagged === "true") series = series.filter(s => s.status !== "active" || s.price_increase);
+    const monthly = series.filter(s => s.status === "active")
+      .reduce((sum, s) => sum + s.annual_cost / 12, 0);
+    res.json({ count:series.length, monthly_cost:Math.round(monthly * 100) / 100, series });
+  }catch(err){
+    res.status(500).json({ error:"recurring detection failed", details:err.message });
+  }
+});
+
+// ---------- NOTIFICATIONS ----------
+// ?unread=true for unread only; ?since=<ISO time> for ones newer than a poll.
+app.get("/api/notifications", async (req,res)=>{
+  let since = null;
+  if (req.query.since){
+    since = parseDate(req.query.since);
+    if (!since) return res.status(400).json({ error:"since must be a date or time" });
+  }
+  try{
+    const list = await notifications.list(req.user.id, {
+      unread: req.query.unread === "true",
+      since,
+      limit: Math.min(Math.max(Number(req.query.limit) || 50, 1), 200)
+    });
+    res.json({ unread: await notifications.unreadCount(req.user.id), notifications: list });
+  }catch(err){
+    res.status(500).json({ error:"notification lookup failed", details:err.message });
+  }
+});
+
+app.post("/api/notifications/read-all", async (req,res)=>{
+  try{
+    res.json({ marked: await notifications.markAllRead(req.user.id) });
+  }catch(err){
+    res.status(500).json({ error:"notification update failed", details:err.message });
+  }
+});
+
+app.post("/api/notifications/:id/read", async (req,res)=>{
+  try{
+    if (!await notifications.markRead(req.user.id, req.params.id))
+      return res.status(404).json({ error:"notification not found" });
+    res.json({ read:true });
+  }catch(err){
+    res.status(500).json({ error:"notification update failed", details:err.message });
+  }
+});
+
+// ---------- MAPPING PROFILES ----------
+app.get("/api/mapping-presets", (req,res)=>{
+  res.json(mappings.PRESETS);
+});
+
+app.get("/api/mapping-profiles", async (req,res)=>{
+  try{
+    res.json(await mappings.listProfiles(req.user.id));
+  }catch(err){
+    res.status(500).json({ error:"mapping profile lookup failed", details:err.message });
+  }
+});
+
+app.post("/api/mapping-profiles", async (req,res)=>{
+  const { name, mapping } = req.body || {};
+  if (!name || !mapping || typeof mapping !== "object")
+    return res.status(400).json({ error:"name and mapping required" });
+  try{
+    res.json(await mappings.saveProfile(req.user.id, name, mapping));
+  }catch(err){
+    res.status(500).json({ error:"mapping profile save failed", details:err.message });
+  }
+});
+
+app.put("/api/mapping-profiles/:id", async (req,res)=>{
+  const { name, mapping } = req.body || {};
+  if (mapping !== undefined && (!mapping || typeof mapping !== "object"))
+    return res.status(400).json({ error:"mapping must be an object" });
+  try{
+    const existing = await mappings.getProfile(req.params.id, req.user.id);
+    if (!existing) return res.status(404).json({ error:"mapping profile not found" });
+    res.json(await mappings.saveProfile(req.user.id, name || existing.name, mapping || existing.mapping, existing.id));
+  }catch(err){
+    res.status(500).json({ error:"mapping profile save failed", details:err.message });
+  }
+});
+
+app.delete("/api/mapping-profiles/:id", async (req,res)=>{
+  try{
+    if (!await mappings.deleteProfile(req.params.id, req.user.id))
+      return res.status(404).json({ error:"mapping profile not found" });
+    res.json({ deleted:true });
+  }catch(err){
+    res.status(500).json({ error:"mapping profile delete failed", details:err.message });
+  }
+});
+
+// ---------- JOBS ----------
+// The job if the signed-in user owns it (admins see every job), else a 404.
+// Job ids are UUIDs; anything else can't be one.
+async function ownJob(req, res){
+  const job = isUuid(req.params.id) ? await jobs.getJob(req.params.id) : null;
+  if (!job || (job.user_id !== req.user.id && !req.user.admin)){
+    res.status(404).json({ error:"job not found" });
+    return null;
+  }
+  return job;
+}
+
+app.get("/api/jobs/:id", async (req,res)=>{
+  try{
+    const job = await ownJob(req, res);
+    if (!job) return;
+    res.json(job);
+  }catch(err){
+    res.status(500).json({ error:"job lookup failed", details:err.message });
+  }
+});
+
+app.get("/api/jobs", async (req,res)=>{
+  try{
+    res.json(await jobs.listJobs(req.user.id));
+  }catch(err){
+    res.status(500).json({ error:"job lookup failed", details:err.message });
+  }
+});
+
+// ---------- IMPORT REPORTS ----------
+// Rejected (skipped) and coerced (warned) rows of an import, with line numbers.
+// ?status=skipped|warned narrows the list.
+app.get("/api/jobs/:id/report", async (req,res)=>{
+  try{
+    const job = await ownJob(req, res);
+    if (!job) return;
+    const rows = await importer.importReport(job.id, req.query.status);
+    res.json({ job_id:job.id, status:job.status, counts:job.result, rows });
+  }catch(err){
+    res.status(500).json({ error:"report lookup failed", details:err.message });
+  }
+});
+
+// The same report as CSV, in the uploaded file's columns, ready to fix and
+// upload again.
+app.get("/api/jobs/:id/report.csv", async (req,res)=>{
+  try{
+    const job = await ownJob(req, res);
+    if (!job) return;
+    const rows = await importer.importReport(job.id, req.query.status);
+    const columns = (job.result && job.result.columns) || Object.keys((rows[0] && rows[0].row) || {});
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="import-${job.id}-report.csv"`);
+    res.send(importer.reportToCsv(rows, columns));
+  }catch(err){
+    res.status(500).json({ error:"report export failed", details:err.message });
+  }
+});
+
+// ---------- RESCORE ----------
+// Queues a background rescore of the signed-in user's transactions with the
+// live rule set. Admins may rescore everyone's with { all:true } and try
+// tuned weights with `config`. `apply:false` records the new scores without
+// replacing the current ones.
+app.post("/api/rescore", async (req,res)=>{
+  try{
+    const { all, config, apply } = req.body || {};
+    if ((all || config) && !req.user.admin) return res.status(403).json({ error:"admin only" });
+    if (config && (typeof config !== "object" || Array.isArray(config))){
+      return res.status(400).json({ error:"config must be an object of engine options" });
+    }
+
+    const payload = { user_id: all ? null : req.user.id, config: config || null, apply: apply !== false };
+    const jobId = await jobs.enqueue("rescore", payload, payload.user_id);
+
+    res.json({ queued:true, job_id:jobId });
+  }catch(err){
+    res.status(500).json({ error:"rescore failed", details:err.message });
+  }
+});
+
+// Admins may compare across users (no user_id) or for any user.
+const scopeUser = (req, user_id) => req.user.admin ? (user_id || null) : req.user.id;
+
+app.get("/api/rescore/compare", async (req,res)=>{
+  const { from, to } = req.query;
+  const user_id = scopeUser(req, req.query.user_id);
+  if (!from || !to) return res.status(400).json({ error:"from and to versions required" });
+  try{
+    res.json(await scoring.compareVersions(from, to, user_id));
+  }catch(err){
+    res.status(500).json({ error:"compare failed", details:err.message });
+  }
+});
+
+// Rolling back and listing engine versions (with their configs) is for
+// admins; a rollback covers everyone unless given a user_id.
+app.use("/api/rescore/rollback", auth.requireAdmin);
+app.use("/api/rulesets", auth.requireAdmin);
+
+app.post("/api/rescore/rollback", async (req,res)=>{
+  const { version, user_id } = req.body || {};
+  if (!version) return res.status(400).json({ error:"version required" });
+  try{
+    res.json(await scoring.rollback(version, user_id || null));
+  }catch(err){
+    res.status(500).json({ error:"rollback failed", details:err.message });
+  }
+});
+
+app.get("/api/rulesets", async (req,res)=>{
+  try{
+    const r = await db.query("SELECT version,rules,config,created_at FROM risk_rulesets ORDER BY created_at DESC");
+    res.json({ current: scoring.version(), revision: rulesets.current().revision, rulesets: r.rows });
+  }catch(err){
+    res.status(500).json({ error:"listing rulesets failed", details:err.message });
+  }
+});
+
+app.get("/api/transactions/:id/scores", async (req,res)=>{
+  if (!isUuid(req.params.id)) return res.status(404).json({ error:"transaction not found" });
+  try{
+    const tx = await db.query("SELECT id FROM transactions WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
+    if (!tx.rows.length) return res.status(404).json({ error:"transaction not found" });
+    const r = await db.query(
+      "SELECT ruleset_version,risk_score,risk_explanation,job_id,created_at FROM risk_scores WHERE transaction_id=$1 ORDER BY created_at DESC",
+      [req.params.id]
+    );
+    res.json(r.rows);
+  }catch(err){
+    res.status(500).json({ error:"score lookup failed", details:err.message });
+  }
+});
+
+// ---------- RULESET ----------
+// The live rule set (see rulesets.js), for admins. Documents are JSON, or
+// YAML when sent as application/yaml or text/yaml; GET ?format=yaml
+// answers in YAML.
+app.use("/api/ruleset", auth.requireAdmin);
+
+const YAML_TYPES = ["application/yaml","application/x-yaml","text/yaml","text/x-yaml"];
+const yamlBody = bodyParser.text({ type:YAML_TYPES, limit:"1mb" });
+
+// The request body as a validated rule set. Responds with 400 and returns
+// null when it isn't one.
+function readRuleset(req, res){
+  try{
+    if (typeof req.body === "string") return rulesets.parse(req.body, "yaml");
+    return rulesets.check(req.body);
+  }catch(err){
+    if (!(err instanceof rulesets.RulesetError)) throw err;
+    res.status(400).json({ error:err.message, problems:err.errors });
+    return null;
+  }
+}
+
+function sendRuleset(req, res, body, doc){
+  if (req.query.format === "yaml") return res.type("application/yaml").send(rulesets.serialize(doc, "yaml"));
+  res.json(body);
+}
+
+app.get("/api/ruleset", (req,res)=>{
+  const live = rulesets.current();
+  sendRuleset(req, res, { ...live, effective: rulesets.effective() }, live.ruleset);
+});
+
+app.get("/api/ruleset/schema", (req,res)=>{
+  res.json(rulesets.SCHEMA);
+});
+
+// Checks a document without saving it.
+app.post("/api/ruleset/validate", yamlBody, (req,res)=>{
+  try{
+    if (!readRuleset(req, res)) return;
+    res.json({ valid:true, problems:[] });
+  }catch(err){
+    res.status(500).json({ error:"ruleset validation failed", details:err.message });
+  }
+});
+
+// Replaces the rule set; it applies to every score from now on. ?comment=
+// is kept with the revision.
+app.put("/api/ruleset", yamlBody, async (req,res)=>{
+  try{
+    const doc = readRuleset(req, res);
+    if (!doc) return;
+    const comment = req.query.comment ? String(req.query.comment).slice(0, 500) : null;
+    res.json(await rulesets.save(doc, { source:"api", comment, actor:req.user }));
+  }catch(err){
+    res.status(500).json({ error:"ruleset update failed", details:err.message });
+  }
+});
+
+app.get("/api/ruleset/revisions", async (req,res)=>{
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  try{
+    res.json(await rulesets.listRevisions(limit));
+  }catch(err){
+    res.status(500).json({ error:"ruleset revisions failed", details:err.message });
+  }
+});
+
+app.get("/api/ruleset/revisions/:revision", async (req,res)=>{
+  try{
+    const rev = await rulesets.getRevision(parseInt(req.params.revision, 10) || 0);
+    if (!rev) return res.status(404).json({ error:"revision not found" });
+    sendRuleset(req, res, rev, rev.ruleset);
+  }catch(err){
+    res.status(500).json({ error:"ruleset revision failed", details:err.message });
+  }
+});
+
+// Makes an earlier revision live again, as a new revision.
+app.post("/api/ruleset/revisions/:revision/restore", async (req,res)=>{
+  try{
+    const rev = await rulesets.getRevision(parseInt(req.params.revision, 10) || 0);
+    if (!rev) return res.status(404).json({ error:"revision not found" });
+    res.json(await rulesets.save(rev.ruleset, { source:"restore", comment:`restored revision ${rev.revision}`, actor:req.user }));
+  }catch(err){
+    res.status(500).json({ error:"ruleset restore failed", details:err.message });
+  }
+});
+
+// ---------- DASHBOARD ----------
+// Totals, income vs. expense, risk distribution and a breakdown, all
+// aggregated in Postgres. ?from/?to bound the range (a date-only `to` is
+// inclusive); ?group_by is day, week, month (default), merchant, country,
+// category or risk_band; ?limit caps the number of groups.
+app.get("/api/dashboard", async (req,res)=>{
+  const { range, error } = dashboard.readRange(req.query);
+  if (error) return res.status(400).json({ error });
+  const group_by = req.query.group_by || "month";
+  if (!dashboard.GROUPS.includes(group_by)){
+    return res.status(400).json({ error:`group_by must be one of: ${dashboard.GROUPS.join(", ")}` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+  try{
+    res.json(await dashboard.build(req.user.id, range, group_by, limit));
+  }catch(err){
+    res.status(500).json({ error:"dashboard failed", details:err.message });
+  }
 });
 
 // ---------- STATIC ----------
 app.use(express.static(path.join(__dirname, "client")));
 
-// ---------- WORKER ----------
-async function workerLoop(){
-  console.log("Worker started...");
-  while(true){
-    try{
-      const r = await db.query(`
-        SELECT * FROM jobs WHERE status='pending' ORDER BY created_at LIMIT 5
-      `);
-      for(const job of r.rows){
-        const id = job.id;
-        await db.query("UPDATE jobs SET status='processing' WHERE id=$1", [id]);
-
-        try{
-          if (job.type === "parse_csv"){
-            const p = job.payload;
-            const buf = fs.readFileSync(p.local_path);
-            const csv = parse(buf.toString("utf8"), { columns:true, skip_empty_lines:true });
-
-            let inserted = 0;
-            for(const row of csv){
-              const amtField = Object.keys(row).find(k=> k.toLowerCase().includes("amount"));
-              const dateField = Object.keys(row).find(k=> k.toLowerCase().includes("date") || k.toLowerCase()
+// ---------- START ----------
+// Serving on a half-built schema only turns into confusing errors later.
+initTables().then(()=>{
+  if (MODE !== "worker") app.listen(PORT, ()=> console.log(`Server listening on ${PORT}`));
+  if (MODE !== "api") jobs.workerLoop();
+}).catch(err => {
+  console.error("initTables error:", err);
+  process.exit(1);
+});
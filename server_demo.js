@@ -5,7 +5,7 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 const { v4: uuidv4 } = require('uuid');
-const RiskEstimator = require('./riskEstimator');
+const { RiskEstimator } = require('./fintrack-risk-lib');
 
 const app = express();
 app.use(bodyParser.json());
@@ -39,7 +39,7 @@ app.post('/api/transactions', async (req, res) => {
   const amount = Number(String(rawAmount).replace(/[^0-9.-]+/g, '')) || 0;
 
   const id = uuidv4();
-  const score = estimator.scoreTransaction({
+  const explanation = estimator.explain({
     amount,
     country: body.country ?? 'Ireland',
     merchant: body.merchant ?? 'unknown',
@@ -53,11 +53,12 @@ app.post('/api/transactions', async (req, res) => {
     country: body.country ?? 'Ireland',
     merchant: body.merchant ?? 'unknown',
     timestamp: body.timestamp ?? new Date().toISOString(),
-    risk_score: score,
+    risk_score: explanation.score,
+    risk_explanation: explanation,
     created_at: new Date().toISOString()
   };
   DB.transactions[id] = record;
-  res.json({ id, risk_score: score });
+  res.json({ id, risk_score: explanation.score, risk_explanation: explanation });
 });
 
 app.get('/api/transactions', async (req, res) => {
@@ -86,7 +87,7 @@ app.post('/api/transactions/upload', upload.single('file'), async (req, res) =>
         timestamp: row.timestamp ?? row.Timestamp ?? new Date().toISOString()
       };
       const id = uuidv4();
-      const score = estimator.scoreTransaction(tx);
+      const explanation = estimator.explain(tx);
       const rec = {
         id,
         user_id,
@@ -94,7 +95,8 @@ app.post('/api/transactions/upload', upload.single('file'), async (req, res) =>
         country: tx.country,
         merchant: tx.merchant,
         timestamp: tx.timestamp,
-        risk_score: score,
+        risk_score: explanation.score,
+        risk_explanation: explanation,
         created_at: new Date().toISOString()
       };
       DB.transactions[id] = rec;
@@ -112,8 +114,9 @@ app.post('/api/rescore', async (req, res) => {
   if (!user_id) return res.status(400).json({ error: 'user_id required' });
   const txs = listTransactionsForUser(user_id);
   for (const rec of txs) {
-    const newScore = estimator.scoreTransaction({ amount: rec.amount, country: rec.country, merchant: rec.merchant, timestamp: rec.timestamp });
-    rec.risk_score = newScore;
+    const explanation = estimator.explain({ amount: rec.amount, country: rec.country, merchant: rec.merchant, timestamp: rec.timestamp });
+    rec.risk_score = explanation.score;
+    rec.risk_explanation = explanation;
   }
   res.json({ rescore_count: txs.length });
 });
@@ -0,0 +1,233 @@
+// statements.js
+// Parsers for bank statement formats other than CSV: OFX/QFX, QIF and
+// ISO 20022 CAMT.053. The format is detected from the file's content.
+//
+// Each parser returns entries in the shape the importer uses for CSV rows:
+//   { line, tx:{ amount, country, merchant, timestamp, account, external_id } | null,
+//     errors:[...], warnings:[...], row:{ ...raw fields } }
+// Amounts are spend-positive, like the rest of FinTrack: the formats all
+// write debits as negative (or flag them DBIT), so signs are flipped here.
+
+const { parseAmount, parseDate } = require('./parsing');
+
+// ---------- DETECTION ----------
+function detectFormat(text){
+  const head = String(text).replace(/^\uFEFF/, "").slice(0, 4096).trimStart();
+  if (/^OFXHEADER:/i.test(head) || /<OFX>/i.test(head) || /<\?OFX\b/i.test(head)) return "ofx";
+  if (/^<\?xml/i.test(head) || /^</.test(head)){
+    if (/camt\.053|<(\w+:)?BkToCstmrStmt\b/.test(head)) return "camt053";
+    return "xml";
+  }
+  if (/^!(Type|Account|Option)/i.test(head)) return "qif";
+  return "csv";
+}
+
+// ---------- HELPERS ----------
+function lineAt(text, index){
+  let n = 1;
+  for(let i = text.indexOf("\n"); i >= 0 && i < index; i = text.indexOf("\n", i + 1)) n++;
+  return n;
+}
+
+function decodeEntities(s){
+  return String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (m, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (m, d) => String.fromCharCode(Number(d)))
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+let regionNames = null;
+// "IE" -> "Ireland", so CAMT country codes match the names stored elsewhere.
+function countryName(code){
+  if (!code) return null;
+  try{
+    regionNames = regionNames || new Intl.DisplayNames(["en"], { type:"region" });
+    return regionNames.of(code.toUpperCase()) || code;
+  }catch(e){
+    return code;
+  }
+}
+
+// Fills in defaults and validation shared by every format.
+function entry(line, fields, opts){
+  const errors = [];
+  const warnings = [];
+  const amount = fields.amount === null || fields.amount === undefined ? null : fields.amount;
+  if (amount === null) errors.push(fields.rawAmount ? `amount "${fields.rawAmount}" is not a number` : "amount missing");
+  if (!fields.timestamp) errors.push(fields.rawDate ? `date "${fields.rawDate}" is not a valid date` : "date missing");
+
+  let merchant = fields.merchant;
+  if (!merchant){ merchant = "unknown"; warnings.push("payee missing, stored as unknown"); }
+  const country = fields.country || opts.default_country || "Ireland";
+
+  // Date-only values get midnight, like the rest of the stored timestamps.
+  const timestamp = /^\d{4}-\d{2}-\d{2}$/.test(fields.timestamp || "") ? fields.timestamp + "T00:00:00" : fields.timestamp;
+  const tx = errors.length ? null : {
+    amount, country, merchant, timestamp,
+    account: fields.account || null,
+    external_id: fields.external_id || null
+  };
+  return { line, tx, errors, warnings, row: fields.row };
+}
+
+// ---------- OFX / QFX ----------
+// OFX 1.x is SGML (closing tags optional), 2.x is XML; reading each tag up to
+// the next "<" handles both.
+function ofxTag(block, tag){
+  const m = new RegExp(`<${tag}>([^<\\r\\n]*)`, "i").exec(block);
+  return m ? decodeEntities(m[1]) : "";
+}
+
+// 20240105120000.000[+1:CET] -> 2024-01-05T12:00:00
+function ofxDate(s){
+  const m = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/.exec(s || "");
+  if (!m) return null;
+  return parseDate(`${m[1]}-${m[2]}-${m[3]}T${m[4] || "00"}:${m[5] || "00"}:${m[6] || "00"}`);
+}
+
+function parseOfx(text, opts = {}){
+  const account = ofxTag(text, "ACCTID") || null;
+  const entries = [];
+  const re = /<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi;
+  let m;
+  while((m = re.exec(text))){
+    const b = m[1];
+    const row = {
+      type: ofxTag(b, "TRNTYPE"),
+      date: ofxTag(b, "DTPOSTED"),
+      amount: ofxTag(b, "TRNAMT"),
+      id: ofxTag(b, "FITID"),
+      name: ofxTag(b, "NAME") || ofxTag(b, "PAYEE"),
+      memo: ofxTag(b, "MEMO")
+    };
+    const n = parseAmount(row.amount, { locale: opts.locale || "en-US" });
+    entries.push(entry(lineAt(text, m.index), {
+      amount: n === null ? null : -n, rawAmount: row.amount,
+      timestamp: ofxDate(row.date), rawDate: row.date,
+      merchant: row.name || row.memo,
+      account, external_id: row.id, row
+    }, opts));
+  }
+  return entries;
+}
+
+// ---------- QIF ----------
+const QIF_FIELDS = { D:"date", T:"amount", U:"amount", P:"payee", M:"memo", N:"number", L:"category" };
+
+function parseQif(text, opts = {}){
+  const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const entries = [];
+  let account = null;
+  let inAccount = false;
+  let row = {};
+  let start = null;
+
+  lines.forEach((raw, i) => {
+    const l = raw.trim();
+    if (!l) return;
+    if (l.startsWith("!")){
+      inAccount = /^!Account/i.test(l);
+      return;
+    }
+    if (l === "^"){
+      if (inAccount){ inAccount = false; row = {}; start = null; return; }
+      if (start !== null){
+        const n = parseAmount(row.amount, opts);
+        // 1/ 5'24 and 01/05/2024 both occur. The apostrophe year is Quicken's
+        // US style, so those dates are month-first unless told otherwise.
+        const raw = row.date || "";
+        const dateOpts = /'/.test(raw) && !opts.locale && !opts.date_format ? { locale:"en-US" } : opts;
+        const date = raw.replace(/'/g, "/").replace(/\s+/g, "");
+        entries.push(entry(start, {
+          amount: n === null ? null : -n, rawAmount: row.amount,
+          timestamp: date ? parseDate(date, dateOpts) : null, rawDate: row.date,
+          merchant: row.payee || row.memo,
+          account, external_id: row.number || null, row
+        }, opts));
+      }
+      row = {}; start = null;
+      return;
+    }
+    if (inAccount){
+      if (l[0] === "N") account = l.slice(1).trim();
+      return;
+    }
+    if (start === null) start = i + 1;
+    const field = QIF_FIELDS[l[0]];
+    if (field && row[field] === undefined) row[field] = l.slice(1).trim();
+  });
+  return entries;
+}
+
+// ---------- CAMT.053 ----------
+// Namespace prefixes vary between banks, so tags are matched with any prefix.
+function xmlBlocks(xml, tag){
+  const re = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, "g");
+  const out = [];
+  let m;
+  while((m = re.exec(xml))) out.push({ body: m[1], index: m.index });
+  return out;
+}
+
+function xmlText(xml, path){
+  let cur = xml;
+  for(const tag of path){
+    const b = xmlBlocks(cur, tag)[0];
+    if (!b) return "";
+    cur = b.body;
+  }
+  return decodeEntities(cur.replace(/<[^>]+>/g, ""));
+}
+
+function parseCamt053(text, opts = {}){
+  const entries = [];
+  for(const stmt of xmlBlocks(text, "Stmt")){
+    const account = xmlText(stmt.body, ["Acct","Id","IBAN"]) || xmlText(stmt.body, ["Acct","Id","Othr","Id"]) || null;
+    const offset = text.indexOf(stmt.body);
+    for(const ntry of xmlBlocks(stmt.body, "Ntry")){
+      const b = ntry.body;
+      const debit = xmlText(b, ["CdtDbtInd"]) === "DBIT";
+      // The counterparty is the creditor when money goes out, the debtor when it comes in.
+      const party = debit ? "Cdtr" : "Dbtr";
+      const row = {
+        amount: xmlText(b, ["Amt"]),
+        currency: (/<(?:\w+:)?Amt\b[^>]*Ccy="(\w+)"/.exec(b) || [])[1] || "",
+        direction: debit ? "DBIT" : "CRDT",
+        date: xmlText(b, ["BookgDt","Dt"]) || xmlText(b, ["BookgDt","DtTm"]) || xmlText(b, ["ValDt","Dt"]),
+        party: xmlText(b, ["RltdPties", party, "Nm"]) || xmlText(b, ["RltdPties", party, "Pty", "Nm"]),
+        country: xmlText(b, ["RltdPties", party, "PstlAdr", "Ctry"]),
+        info: xmlText(b, ["RmtInf","Ustrd"]) || xmlText(b, ["AddtlNtryInf"]),
+        ref: xmlText(b, ["AcctSvcrRef"]) || xmlText(b, ["NtryRef"])
+      };
+      const n = parseAmount(row.amount, { locale: "en-US" });
+      entries.push(entry(lineAt(text, offset + ntry.index), {
+        amount: n === null ? null : (debit ? n : -n), rawAmount: row.amount,
+        timestamp: row.date ? parseDate(row.date) : null, rawDate: row.date,
+        merchant: row.party || row.info,
+        country: countryName(row.country),
+        account, external_id: row.ref || null, row
+      }, opts));
+    }
+  }
+  return entries;
+}
+
+// ---------- DISPATCH ----------
+const PARSERS = { ofx: parseOfx, qif: parseQif, camt053: parseCamt053 };
+
+function parseStatement(format, text, opts = {}){
+  const parser = PARSERS[format];
+  if (!parser) throw new Error(`unsupported statement format "${format}"`);
+  return parser(String(text).replace(/^\uFEFF/, ""), opts);
+}
+
+module.exports = {
+  FORMATS: Object.keys(PARSERS),
+  detectFormat,
+  parseStatement,
+  parseOfx,
+  parseQif,
+  parseCamt053
+};
@@ -0,0 +1,201 @@
+// storage.js
+// Where uploaded files live: CSV and statement uploads waiting for the
+// import worker, and receipts attached to transactions (see attachments.js).
+//
+// STORAGE_DRIVER picks the backend for new files:
+//
+//   local       files under STORAGE_DIR (default UPLOAD_DIR or /tmp/uploads).
+//               Only safe on one instance or a shared volume: /tmp goes
+//               with the instance.
+//   s3          an S3-compatible bucket: S3_BUCKET, S3_REGION (us-east-1),
+//               S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY, falling back to
+//               the AWS_* variables. S3_ENDPOINT points at another service,
+//               e.g. http://localhost:9000 for MinIO, and switches to
+//               path-style URLs. Requests are signed with SigV4 here, so no
+//               SDK is needed.
+//   cloudinary  "raw" authenticated assets, configured by CLOUDINARY_URL or
+//               CLOUDINARY_CLOUD_NAME / _API_KEY / _API_SECRET, under
+//               CLOUDINARY_FOLDER (default fintrack).
+//
+// Every driver has put(key, buffer, contentType), get(key) -> Buffer and
+// remove(key). A missing file is an error with code "NOT_FOUND". Callers
+// keep the driver name with each key, so files stored before a change of
+// STORAGE_DRIVER stay readable while that driver is still configured.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DRIVER = process.env.STORAGE_DRIVER || "local";
+
+function notFound(key){
+  const err = new Error(`stored file ${key} not found`);
+  err.code = "NOT_FOUND";
+  return err;
+}
+
+// Keys are made by the app (see newKey); this only guards against escapes.
+function checkKey(key){
+  if (!key || key.startsWith("/") || key.split("/").some(s => !s || s === "." || s === "..")){
+    throw new Error(`invalid storage key "${key}"`);
+  }
+  return key;
+}
+
+// "<prefix>/<yyyy-mm>/<uuid><ext>", with the extension lower-cased and
+// limited to letters and digits.
+function newKey(prefix, ext = ""){
+  const clean = /^\.[a-z0-9]{1,10}$/i.test(ext) ? ext.toLowerCase() : "";
+  const month = new Date().toISOString().slice(0, 7);
+  return checkKey(`${prefix}/${month}/${crypto.randomUUID()}${clean}`);
+}
+
+// ---------- LOCAL ----------
+function localDriver(root = process.env.STORAGE_DIR || process.env.UPLOAD_DIR || "/tmp/uploads"){
+  fs.mkdirSync(root, { recursive:true, mode:0o700 });
+  const file = key => path.join(root, checkKey(key));
+  return {
+    name: "local",
+    async put(key, buffer){
+      await fs.promises.mkdir(path.dirname(file(key)), { recursive:true, mode:0o700 });
+      await fs.promises.writeFile(file(key), buffer);
+    },
+    async get(key){
+      try{ return await fs.promises.readFile(file(key)); }
+      catch(err){ throw err.code === "ENOENT" ? notFound(key) : err; }
+    },
+    async remove(key){
+      await fs.promises.rm(file(key), { force:true });
+    }
+  };
+}
+
+// ---------- S3 ----------
+const sha256 = data => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+const encodeSegment = s => encodeURIComponent(s).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+
+// AWS Signature Version 4. Returns the headers to send, Authorization
+// included; every header passed in is signed.
+function signV4({ method, url, headers = {}, payloadHash, accessKeyId, secretAccessKey, region, service = "s3", date = new Date() }){
+  const u = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const day = amzDate.slice(0, 8);
+  const all = { ...headers, host: u.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+  const names = Object.keys(all).map(k => k.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const query = [...u.searchParams].map(([k, v]) => `${encodeSegment(k)}=${encodeSegment(v)}`).sort().join("&");
+  const canonical = [
+    method,
+    u.pathname,
+    query,
+    names.map(n => `${n}:${lower[n]}\n`).join(""),
+    names.join(";"),
+    payloadHash
+  ].join("\n");
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join("\n");
+  const key = ["aws4_request"].reduce(hmac, [region, service].reduce(hmac, hmac("AWS4" + secretAccessKey, day)));
+  const signature = crypto.createHmac("sha256", key).update(toSign).digest("hex");
+  return {
+    ...all,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`
+  };
+}
+
+function s3Driver(env = process.env){
+  const bucket = env.S3_BUCKET;
+  const region = env.S3_REGION || env.AWS_REGION || "us-east-1";
+  const accessKeyId = env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey){
+    throw new Error("s3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  const endpoint = env.S3_ENDPOINT ? env.S3_ENDPOINT.replace(/\/+$/, "") : null;
+  const objectUrl = key => {
+    const p = checkKey(key).split("/").map(encodeSegment).join("/");
+    return endpoint ? `${endpoint}/${bucket}/${p}` : `https://${bucket}.s3.${region}.amazonaws.com/${p}`;
+  };
+
+  async function send(method, key, body, contentType){
+    const url = objectUrl(key);
+    const headers = signV4({
+      method, url,
+      headers: contentType ? { "content-type": contentType } : {},
+      payloadHash: sha256(body || ""),
+      accessKeyId, secretAccessKey, region
+    });
+    delete headers.host;
+    const res = await fetch(url, { method, headers, body });
+    if (res.status === 404) throw notFound(key);
+    if (!res.ok){
+      const text = await res.text();
+      const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+      throw new Error(`s3 ${method} ${key} failed: ${res.status}${code ? " " + code : ""}`);
+    }
+    return res;
+  }
+
+  return {
+    name: "s3",
+    async put(key, buffer, contentType){ await send("PUT", key, buffer, contentType || "application/octet-stream"); },
+    async get(key){ return Buffer.from(await (await send("GET", key)).arrayBuffer()); },
+    // S3 answers 204 whether or not the object existed.
+    async remove(key){ await send("DELETE", key); }
+  };
+}
+
+// ---------- CLOUDINARY ----------
+function cloudinaryDriver(env = process.env){
+  const cloudinary = require('cloudinary').v2;
+  if (!env.CLOUDINARY_URL){
+    if (!env.CLOUDINARY_CLOUD_NAME || !env.CLOUDINARY_API_KEY || !env.CLOUDINARY_API_SECRET){
+      throw new Error("cloudinary storage needs CLOUDINARY_URL or CLOUDINARY_CLOUD_NAME, _API_KEY and _API_SECRET");
+    }
+    cloudinary.config({ cloud_name:env.CLOUDINARY_CLOUD_NAME, api_key:env.CLOUDINARY_API_KEY, api_secret:env.CLOUDINARY_API_SECRET });
+  }
+  const folder = env.CLOUDINARY_FOLDER || "fintrack";
+  // "raw" keeps files byte for byte; "authenticated" needs a signed URL to read.
+  const asset = { resource_type:"raw", type:"authenticated" };
+  const publicId = key => `${folder}/${checkKey(key)}`;
+
+  return {
+    name: "cloudinary",
+    put(key, buffer){
+      return new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream({ ...asset, public_id:publicId(key), overwrite:true }, (err, result) =>
+          err ? reject(new Error(`cloudinary upload of ${key} failed: ${err.message}`)) : resolve(result)
+        ).end(buffer);
+      });
+    },
+    async get(key){
+      const res = await fetch(cloudinary.url(publicId(key), { ...asset, sign_url:true, secure:true }));
+      if (res.status === 404) throw notFound(key);
+      if (!res.ok) throw new Error(`cloudinary download of ${key} failed: ${res.status}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+    async remove(key){
+      await cloudinary.uploader.destroy(publicId(key), { ...asset, invalidate:true });
+    }
+  };
+}
+
+// ---------- DRIVERS ----------
+const FACTORIES = { local: localDriver, s3: s3Driver, cloudinary: cloudinaryDriver };
+if (!FACTORIES[DRIVER]) throw new Error(`Unknown STORAGE_DRIVER "${DRIVER}": use local, s3 or cloudinary`);
+
+const drivers = {};
+
+// The named driver (the configured one by default), created on first use.
+function driver(name = DRIVER){
+  if (!FACTORIES[name]) throw new Error(`unknown storage driver "${name}"`);
+  if (!drivers[name]) drivers[name] = FACTORIES[name]();
+  return drivers[name];
+}
+
+module.exports = {
+  DRIVER,
+  driver,
+  newKey,
+  signV4
+};
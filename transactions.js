@@ -0,0 +1,363 @@
+// transactions.js
+// Reading and changing stored transactions: the listing behind
+// GET /api/transactions (filters, merchant search, sorting and keyset
+// pagination) and edits, deletes and splits.
+//
+// A cursor encodes the sort and the last row's sort value and id, so the
+// next page is "rows after this one" in that order. That stays fast deep
+// into a long history and doesn't skip or repeat rows when new ones arrive
+// between pages, as OFFSET would.
+//
+// Every edit, delete and split is written to the audit log. Changing a
+// scoring input (amount, country, merchant, timestamp) rescores the row;
+// changing the merchant or amount re-runs the category rules unless the
+// category was set by hand. Deleting a row deletes its attachments too.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const dashboard = require('./dashboard');
+const scoring = require('./scoring');
+const categories = require('./categories');
+const audit = require('./audit');
+const attachments = require('./attachments');
+
+// sort option -> column. Risk sorts unscored rows as 0.
+const SORTS = {
+  timestamp: "timestamp",
+  amount:    "amount",
+  risk:      "COALESCE(risk_score, 0)"
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const SCORING_INPUTS = ["amount","country","merchant","timestamp"];
+
+async function initTransactionTables(){
+  await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS notes TEXT");
+  await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '[]'::jsonb");
+  // Parts made by splitting a transaction point at the one they came from.
+  await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS split_from TEXT");
+
+  // Keyset pagination walks these for the amount and risk sorts; timestamp
+  // uses transactions_user_ts.
+  await db.query("CREATE INDEX IF NOT EXISTS transactions_user_amount ON transactions(user_id, amount)");
+  await db.query("CREATE INDEX IF NOT EXISTS transactions_user_risk ON transactions(user_id, COALESCE(risk_score, 0))");
+}
+
+const pad = n => String(n).padStart(2, "0");
+
+// Stored timestamps come back from pg as local Dates; this gives back the
+// wall-clock value, which compares like the column does.
+function wallClock(ts){
+  if (!(ts instanceof Date)) return String(ts);
+  const d = ts;
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${String(d.getMilliseconds()).padStart(3, "0")}`;
+}
+
+// null for a row without a value (legacy rows can lack a timestamp or amount).
+function cursorValue(sort, row){
+  if (sort === "risk") return Number(row.risk_score || 0);
+  const v = row[sort];
+  if (v === null || v === undefined) return null;
+  return sort === "amount" ? Number(v) : wallClock(v);
+}
+
+const encodeCursor = c => Buffer.from(JSON.stringify(c)).toString("base64url");
+
+function decodeCursor(s){
+  try{
+    const c = JSON.parse(Buffer.from(String(s), "base64url").toString("utf8"));
+    return c && c.id !== undefined && c.v !== undefined ? c : null;
+  }catch(e){
+    return null;
+  }
+}
+
+const list = s => String(s).split(",").map(x => x.trim()).filter(Boolean);
+const likeEscape = s => s.replace(/[\\%_]/g, "\\$&");
+
+// ---------- QUERY ----------
+// Validates the query string. Returns { opts } or { error }.
+function readListQuery(q){
+  const opts = {
+    sort: q.sort || "timestamp",
+    order: (q.order || "desc").toLowerCase(),
+    limit: q.limit === undefined ? DEFAULT_LIMIT : parseInt(q.limit, 10)
+  };
+  if (!SORTS[opts.sort]) return { error:`sort must be one of: ${Object.keys(SORTS).join(", ")}` };
+  if (!["asc","desc"].includes(opts.order)) return { error:"order must be asc or desc" };
+  if (!(opts.limit >= 1 && opts.limit <= MAX_LIMIT)) return { error:`limit must be between 1 and ${MAX_LIMIT}` };
+
+  const { range, error } = dashboard.readRange(q);
+  if (error) return { error };
+  opts.range = range;
+
+  for(const k of ["min_amount","max_amount","min_risk"]){
+    if (q[k] === undefined || q[k] === "") continue;
+    const n = Number(q[k]);
+    if (!Number.isFinite(n)) return { error:`${k} must be a number` };
+    opts[k] = n;
+  }
+  if (q.merchant) opts.merchant = list(q.merchant);
+  if (q.country) opts.country = list(q.country);
+  if (q.category) opts.category = list(q.category);
+  if (q.tag) opts.tag = String(q.tag).trim();
+  if (q.q && String(q.q).trim()) opts.q = String(q.q).trim().split(/\s+/).slice(0, 10);
+
+  if (q.cursor){
+    const c = decodeCursor(q.cursor);
+    if (!c) return { error:"cursor is invalid" };
+    if (c.sort !== opts.sort || c.order !== opts.order) return { error:"cursor belongs to a different sort; start again without it" };
+    opts.cursor = c;
+  }
+  return { opts };
+}
+
+// WHERE clause for the filters (not the cursor), scoped to the user.
+function filters(user_id, opts){
+  const where = ["user_id=$1"];
+  const params = [user_id];
+  const add = (sql, ...values) => {
+    const refs = values.map(v => { params.push(v); return `$${params.length}`; });
+    where.push(sql(...refs));
+  };
+  const anyOf = (col, values) => add((...refs) => `LOWER(${col}) IN (${refs.join(",")})`, ...values.map(v => v.toLowerCase()));
+
+  if (opts.range.from) add(p => `timestamp >= ${p}`, opts.range.from);
+  if (opts.range.to) add(p => `timestamp < ${p}`, opts.range.to);
+  if (opts.min_amount !== undefined) add(p => `amount >= ${p}`, opts.min_amount);
+  if (opts.max_amount !== undefined) add(p => `amount <= ${p}`, opts.max_amount);
+  if (opts.min_risk !== undefined) add(p => `risk_score >= ${p}`, opts.min_risk);
+  if (opts.merchant) anyOf("merchant", opts.merchant);
+  if (opts.country) anyOf("country", opts.country);
+  if (opts.category) anyOf("COALESCE(category, 'other')", opts.category);
+  if (opts.tag) add(p => `tags @> ${p}::jsonb`, JSON.stringify([opts.tag]));
+  // Every search word must appear somewhere in the merchant.
+  for(const word of opts.q || []) add(p => `merchant ILIKE ${p}`, `%${likeEscape(word)}%`);
+  return { where, params };
+}
+
+// One page of the user's transactions plus the total matching the filters.
+async function listTransactions(user_id, opts){
+  const { where, params } = filters(user_id, opts);
+  const total = await db.query(`SELECT COUNT(*) AS n FROM transactions WHERE ${where.join(" AND ")}`, params);
+
+  const col = SORTS[opts.sort];
+  const dir = opts.order === "asc" ? "ASC" : "DESC";
+  const cmp = opts.order === "asc" ? ">" : "<";
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  // Rows without a value come last in either order. After one of those only
+  // others like it remain; after any other row they are all still to come.
+  if (opts.cursor && opts.cursor.v === null){
+    pageParams.push(opts.cursor.id);
+    pageWhere.push(`(${col} IS NULL AND id ${cmp} $${pageParams.length})`);
+  } else if (opts.cursor){
+    pageParams.push(opts.cursor.v, opts.cursor.id);
+    const v = `$${pageParams.length - 1}`, id = `$${pageParams.length}`;
+    pageWhere.push(`(${col} ${cmp} ${v} OR (${col} = ${v} AND id ${cmp} ${id}) OR ${col} IS NULL)`);
+  }
+  // One extra row tells us whether there's another page.
+  pageParams.push(opts.limit + 1);
+  const r = await db.query(`
+    SELECT * FROM transactions WHERE ${pageWhere.join(" AND ")}
+    ORDER BY ${col} ${dir} NULLS LAST, id ${dir}
+    LIMIT $${pageParams.length}
+  `, pageParams);
+
+  const rows = r.rows.slice(0, opts.limit);
+  const last = rows[rows.length - 1];
+  const next_cursor = r.rows.length > opts.limit
+    ? encodeCursor({ sort:opts.sort, order:opts.order, v:cursorValue(opts.sort, last), id:last.id })
+    : null;
+  return { total:Number(total.rows[0].n), count:rows.length, next_cursor, transactions:rows };
+}
+
+// ---------- EDITS ----------
+async function getTransaction(user_id, id){
+  const r = await db.query("SELECT * FROM transactions WHERE id=$1 AND user_id=$2", [id, user_id]);
+  return r.rows[0] || null;
+}
+
+// The user-facing fields of a row, as they go into the audit log.
+function snapshot(row){
+  return {
+    amount: Number(row.amount),
+    country: row.country,
+    merchant: row.merchant,
+    timestamp: wallClock(row.timestamp).slice(0, 19),
+    category: row.category,
+    category_source: row.category_source,
+    notes: row.notes || null,
+    tags: row.tags || [],
+    risk_score: row.risk_score === null ? null : Number(row.risk_score),
+    split_from: row.split_from || null
+  };
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Applies `changes` (any of amount, country, merchant, timestamp, category,
+// notes, tags; already validated) to one of the user's transactions. A
+// category given here is a manual override. Returns { transaction, changed }
+// or null when the row isn't the user's.
+async function updateTransaction(user_id, id, changes, actor){
+  const row = await getTransaction(user_id, id);
+  if (!row) return null;
+  const before = snapshot(row);
+
+  const next = { ...before };
+  for(const [k, v] of Object.entries(changes)) next[k] = k === "timestamp" ? String(v).slice(0, 19) : v;
+  if (changes.category !== undefined) next.category_source = "manual";
+  else if ((next.merchant !== before.merchant || next.amount !== before.amount) && before.category_source !== "manual"){
+    const { category, source } = categories.categorize(next, await categories.loadRules(user_id));
+    next.category = category;
+    next.category_source = source;
+  }
+
+  const changed = ["amount","country","merchant","timestamp","category","category_source","notes","tags"]
+    .filter(k => !same(before[k], next[k]));
+  if (!changed.length) return { transaction:row, changed };
+
+  const params = [id, user_id];
+  const sets = changed.map(k => {
+    params.push(k === "tags" ? JSON.stringify(next[k]) : next[k]);
+    return `${k}=$${params.length}`;
+  });
+  await db.query(`UPDATE transactions SET ${sets.join(", ")} WHERE id=$1 AND user_id=$2`, params);
+
+  if (changed.some(k => SCORING_INPUTS.includes(k))){
+    const explanation = await scoring.rescoreTransaction(id);
+    next.risk_score = explanation.score;
+    if (next.risk_score !== before.risk_score) changed.push("risk_score");
+  }
+
+  await audit.record({
+    user_id, entity:"transaction", entity_id:id, action:"update", actor,
+    before: Object.fromEntries(changed.map(k => [k, before[k]])),
+    after: Object.fromEntries(changed.map(k => [k, next[k]]))
+  });
+  return { transaction: await getTransaction(user_id, id), changed };
+}
+
+// Records a category set through the category override route.
+async function auditCategory(user_id, row, category, actor){
+  if (row.category === category && row.category_source === "manual") return;
+  await audit.record({
+    user_id, entity:"transaction", entity_id:row.id, action:"update", actor,
+    before: { category:row.category, category_source:row.category_source },
+    after: { category, category_source:"manual" }
+  });
+}
+
+// A transaction that has been split keeps its parts pointing at it, so it
+// can't go while they exist. Returns true, false when the row isn't the
+// user's, or { error, conflict } when it still has parts.
+async function deleteTransaction(user_id, id, actor){
+  const r = await db.query(`
+    DELETE FROM transactions WHERE id=$1 AND user_id=$2
+      AND NOT EXISTS (SELECT 1 FROM transactions WHERE split_from=$1)
+    RETURNING *
+  `, [id, user_id]);
+  const row = r.rows[0];
+  if (!row){
+    if (!await getTransaction(user_id, id)) return false;
+    return { error:"transaction has been split; delete its other parts first", conflict:true };
+  }
+  await audit.record({ user_id, entity:"transaction", entity_id:id, action:"delete", actor, before:snapshot(row) });
+  await attachments.removeForTransaction(user_id, id);
+  return true;
+}
+
+// Splits a transaction into `parts` ({ amount, category?, notes?, tags? },
+// amounts summing to the original). The original row becomes the first
+// part, keeping its id and fingerprint so re-importing the statement still
+// recognises it; the others are new rows with split_from pointing at the
+// original. Every part is rescored. Returns { transaction, parts },
+// { error } when a part is zero, spending on an income row (or the other way
+// round) or the amounts don't add up, or null when the row isn't the user's.
+async function splitTransaction(user_id, id, parts, actor){
+  const row = await getTransaction(user_id, id);
+  if (!row) return null;
+  const cents = n => Math.round(Number(n) * 100);
+  if (parts.some(p => cents(p.amount) === 0)) return { error:"parts must not be zero" };
+  if (parts.some(p => Math.sign(cents(p.amount)) !== Math.sign(cents(row.amount)))){
+    return { error:`parts must all be ${Number(row.amount) < 0 ? "negative" : "positive"}, like the transaction` };
+  }
+  const sum = parts.reduce((s, p) => s + cents(p.amount), 0);
+  if (sum !== cents(row.amount)){
+    return { error:`parts add up to ${sum / 100}, not the transaction's ${Number(row.amount)}` };
+  }
+
+  const root = row.split_from || row.id;
+  const [first, ...rest] = parts;
+  const ids = rest.map(() => uuidv4());
+
+  const client = await db.pool.connect();
+  try{
+    await client.query("BEGIN");
+    // Only split what we read: a concurrent edit of the amount aborts.
+    const u = await client.query(`
+      UPDATE transactions SET amount=$3,
+        category=COALESCE($4, category),
+        category_source=CASE WHEN $4::text IS NULL THEN category_source ELSE 'manual' END,
+        notes=COALESCE($5, notes), tags=COALESCE($6::jsonb, tags)
+      WHERE id=$1 AND user_id=$2 AND amount=$7
+    `, [id, user_id, first.amount, first.category || null, first.notes || null,
+        first.tags ? JSON.stringify(first.tags) : null, row.amount]);
+    if (!u.rowCount){
+      await client.query("ROLLBACK");
+      return { error:"transaction changed while splitting, try again", conflict:true };
+    }
+    for(const [i, p] of rest.entries()){
+      await client.query(`
+        INSERT INTO transactions(id,user_id,amount,country,merchant,timestamp,risk_score,risk_explanation,ruleset_version,
+          fingerprint,account,import_id,category,category_source,notes,tags,split_from)
+        VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+      `, [ids[i], user_id, p.amount, row.country, row.merchant, row.timestamp,
+          row.risk_score, row.risk_explanation, row.ruleset_version,
+          `split:${ids[i]}`, row.account, row.import_id,
+          p.category || row.category, p.category ? "manual" : row.category_source,
+          p.notes || null, JSON.stringify(p.tags || []), root]);
+    }
+    await client.query("COMMIT");
+  }catch(err){
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }finally{
+    client.release();
+  }
+
+  for(const partId of [id, ...ids]) await scoring.rescoreTransaction(partId);
+
+  const updated = await getTransaction(user_id, id);
+  const newParts = [];
+  for(const partId of ids) newParts.push(await getTransaction(user_id, partId));
+  const partSummary = [updated, ...newParts].map(p => ({ id:p.id, amount:Number(p.amount) }));
+
+  await audit.record({
+    user_id, entity:"transaction", entity_id:id, action:"split", actor,
+    before: { amount:Number(row.amount), category:row.category, risk_score:Number(row.risk_score) },
+    after: { amount:Number(updated.amount), category:updated.category, risk_score:Number(updated.risk_score), parts:partSummary }
+  });
+  for(const p of newParts){
+    await audit.record({
+      user_id, entity:"transaction", entity_id:p.id, action:"split", actor,
+      after: snapshot(p)
+    });
+  }
+  return { transaction:updated, parts:newParts };
+}
+
+module.exports = {
+  SORTS: Object.keys(SORTS),
+  initTransactionTables,
+  readListQuery,
+  listTransactions,
+  getTransaction,
+  updateTransaction,
+  auditCategory,
+  deleteTransaction,
+  splitTransaction
+};
@@ -0,0 +1,319 @@
+// webhooks.js
+// Risk alert webhooks: HTTP callbacks for transactions that score at or
+// above a webhook's threshold.
+//
+// A webhook belongs to a user and fires for that user's transactions; one
+// an admin registers with scope "all" (user_id NULL) fires for everyone's,
+// for integrations watching the whole system. Each alert is one
+// `webhook_delivery` job, so delivery happens on the worker, survives
+// restarts and is retried with the queue's exponential backoff
+// (JOB_BACKOFF_SECONDS * 2^(attempt-1)) up to WEBHOOK_MAX_ATTEMPTS times.
+// Every attempt is kept in webhook_deliveries.
+//
+// Requests are JSON POSTs signed with the webhook's secret:
+//
+//   X-Fintrack-Event: transaction.high_risk
+//   X-Fintrack-Delivery: <event id, the same on every retry>
+//   X-Fintrack-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers should recompute the HMAC over the raw body, compare it in
+// constant time and reject old `t` values to stop replays.
+//
+// Receivers must be on the public internet. A URL whose host resolves to a
+// loopback, private, link-local (cloud metadata) or otherwise reserved
+// address is refused when the webhook is saved, and again on every delivery
+// against the address actually connected to, so repointing the DNS name
+// later doesn't get around it. WEBHOOK_ALLOW_PRIVATE=1 lifts the check for
+// local development. Only the receiver's status code is kept, never its
+// response body.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const jobs = require('./jobs');
+
+const DEFAULT_THRESHOLD = Number(process.env.WEBHOOK_DEFAULT_THRESHOLD || 0.7);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+
+// ---------- TABLES ----------
+async function initWebhookTables(){
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhooks(
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      url TEXT,
+      secret TEXT,
+      threshold NUMERIC,
+      description TEXT,
+      active BOOLEAN DEFAULT TRUE,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS webhooks_user ON webhooks(user_id)");
+
+  // One row per attempt.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries(
+      id TEXT PRIMARY KEY,
+      webhook_id TEXT,
+      event_id TEXT,
+      event TEXT,
+      transaction_id TEXT,
+      job_id TEXT,
+      attempt INTEGER,
+      status TEXT,
+      response_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await db.query("CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)");
+}
+
+// ---------- REGISTRATION ----------
+const newSecret = () => "whsec_" + crypto.randomBytes(24).toString("base64url");
+
+const validUrl = u => {
+  try{ return ["http:","https:"].includes(new URL(u).protocol); }catch(e){ return false; }
+};
+
+// ---------- ADDRESSES ----------
+const BLOCKED = new net.BlockList();
+for(const [a, bits] of [
+  ["0.0.0.0",8], ["10.0.0.0",8], ["100.64.0.0",10], ["127.0.0.0",8], ["169.254.0.0",16],
+  ["172.16.0.0",12], ["192.0.0.0",24], ["192.0.2.0",24], ["192.168.0.0",16], ["198.18.0.0",15],
+  ["198.51.100.0",24], ["203.0.113.0",24], ["224.0.0.0",3]
+]) BLOCKED.addSubnet(a, bits, "ipv4");
+for(const [a, bits] of [
+  ["::",127], ["64:ff9b::",96], ["100::",64], ["2001:db8::",32], ["fc00::",7], ["fe80::",10], ["ff00::",8]
+]) BLOCKED.addSubnet(a, bits, "ipv6");
+
+function blockedAddress(address){
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+  return BLOCKED.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+}
+
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+// dns.lookup that fails for blocked addresses; also the `lookup` option of
+// the delivery request, so the checked address is the one connected to.
+function safeLookup(host, options, callback){
+  const check = addresses => {
+    const bad = ALLOW_PRIVATE ? null : addresses.find(a => blockedAddress(a.address));
+    if (bad){
+      const what = bad.address === host ? host : `${host} resolves to ${bad.address}, which`;
+      return callback(new Error(`${what} is a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  };
+  if (net.isIP(host)) return check([{ address:host, family:net.isIP(host) }]);
+  dns.lookup(host, { ...options, all:true }, (err, addresses) => {
+    if (err) return callback(err.code === "ENOTFOUND" ? new Error(`${host} does not resolve`) : err);
+    check(addresses);
+  });
+}
+
+// Why a URL can't be a webhook receiver, or null when it can.
+function checkUrl(url){
+  return new Promise(resolve => safeLookup(hostOf(url), { all:true }, err => resolve(err ? err.message : null)));
+}
+
+// The secret is only shown when a webhook is created or its secret rotated.
+function publicWebhook(w, withSecret = false){
+  const out = {
+    id: w.id,
+    scope: w.user_id ? "user" : "all",
+    url: w.url,
+    threshold: Number(w.threshold),
+    description: w.description,
+    active: w.active,
+    created_at: w.created_at,
+    updated_at: w.updated_at
+  };
+  if (withSecret) out.secret = w.secret;
+  return out;
+}
+
+// The user's webhooks; admins also see the "all" ones.
+async function listWebhooks(user){
+  const r = await db.query(
+    "SELECT * FROM webhooks WHERE user_id=$1 OR (user_id IS NULL AND $2) ORDER BY created_at",
+    [user.id, !!user.admin]
+  );
+  return r.rows.map(w => publicWebhook(w));
+}
+
+async function getWebhook(id, user){
+  const r = await db.query(
+    "SELECT * FROM webhooks WHERE id=$1 AND (user_id=$2 OR (user_id IS NULL AND $3))",
+    [id, user.id, !!user.admin]
+  );
+  return r.rows[0] || null;
+}
+
+async function createWebhook(user, { url, threshold, description, scope }){
+  const id = uuidv4();
+  await db.query(`
+    INSERT INTO webhooks(id,user_id,url,secret,threshold,description,created_by)
+    VALUES($1,$2,$3,$4,$5,$6,$7)
+  `, [id, scope === "all" ? null : user.id, url, newSecret(),
+      threshold === undefined ? DEFAULT_THRESHOLD : threshold, description || null, user.id]);
+  return publicWebhook(await getWebhook(id, user), true);
+}
+
+async function updateWebhook(existing, user, { url, threshold, description, active, rotate_secret }){
+  await db.query(`
+    UPDATE webhooks SET url=$2, threshold=$3, description=$4, active=$5, secret=$6, updated_at=CURRENT_TIMESTAMP
+    WHERE id=$1
+  `, [existing.id,
+      url === undefined ? existing.url : url,
+      threshold === undefined ? existing.threshold : threshold,
+      description === undefined ? existing.description : description || null,
+      active === undefined ? existing.active : active,
+      rotate_secret ? newSecret() : existing.secret]);
+  return publicWebhook(await getWebhook(existing.id, user), !!rotate_secret);
+}
+
+async function deleteWebhook(existing){
+  await db.query("DELETE FROM webhooks WHERE id=$1", [existing.id]);
+  return true;
+}
+
+async function listDeliveries(webhook_id, limit = 50){
+  const r = await db.query(`
+    SELECT id,event_id,event,transaction_id,job_id,attempt,status,response_status,error,duration_ms,created_at
+    FROM webhook_deliveries WHERE webhook_id=$1 ORDER BY created_at DESC LIMIT $2
+  `, [webhook_id, limit]);
+  return r.rows;
+}
+
+// ---------- TRIGGER ----------
+// Active webhooks that apply to a user's transactions. The CSV worker loads
+// them once per file and passes them to trigger().
+async function forUser(user_id){
+  const r = await db.query(
+    "SELECT id,user_id,threshold FROM webhooks WHERE active AND (user_id=$1 OR user_id IS NULL)",
+    [user_id]
+  );
+  return r.rows;
+}
+
+// Queues a delivery to every webhook whose threshold the score reaches.
+// Returns the number queued.
+async function trigger(id, tx, explanation, hooks){
+  if (!hooks) hooks = await forUser(tx.user_id);
+  const due = hooks.filter(h => explanation.score >= Number(h.threshold));
+  for(const h of due){
+    const event = {
+      id: uuidv4(),
+      type: "transaction.high_risk",
+      created_at: new Date().toISOString(),
+      threshold: Number(h.threshold),
+      transaction: {
+        id,
+        user_id: tx.user_id,
+        amount: Number(tx.amount),
+        merchant: tx.merchant,
+        country: tx.country,
+        timestamp: tx.timestamp,
+        category: tx.category || null
+      },
+      risk: { score: explanation.score, version: explanation.version, rules: explanation.rules.filter(r => r.fired) }
+    };
+    await jobs.enqueue("webhook_delivery", { webhook_id:h.id, event }, h.user_id, { max_attempts:MAX_ATTEMPTS });
+  }
+  return due.length;
+}
+
+// A "ping" event, to check a receiver and its signature handling.
+async function sendTest(webhook, user){
+  const event = { id: uuidv4(), type: "ping", created_at: new Date().toISOString(), webhook_id: webhook.id };
+  return jobs.enqueue("webhook_delivery", { webhook_id:webhook.id, event }, user.id, { max_attempts:1 });
+}
+
+// ---------- DELIVERY ----------
+function sign(secret, t, body){
+  return crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+}
+
+// POSTs the body and resolves with the status code. Redirects aren't
+// followed and the response body is discarded.
+async function post(url, headers, body){
+  const problem = await checkUrl(url);
+  if (problem) throw new Error(problem);
+  const client = new URL(url).protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: safeLookup
+    }, res => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`no answer within ${TIMEOUT_MS} ms`)), TIMEOUT_MS);
+    req.on("error", err => { clearTimeout(timer); reject(err); });
+    req.end(body);
+  });
+}
+
+// Job handler. Throws on anything but a 2xx so the queue retries.
+async function deliver(job){
+  const { webhook_id, event } = job.payload;
+  const r = await db.query("SELECT * FROM webhooks WHERE id=$1", [webhook_id]);
+  const webhook = r.rows[0];
+  if (!webhook || !webhook.active) return { skipped:true, reason: webhook ? "webhook disabled" : "webhook deleted" };
+
+  const body = JSON.stringify(event);
+  const t = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let response_status = null, error = null;
+  try{
+    response_status = await post(webhook.url, {
+      "Content-Type": "application/json",
+      "User-Agent": "fintrack-webhooks",
+      "X-Fintrack-Event": event.type,
+      "X-Fintrack-Delivery": event.id,
+      "X-Fintrack-Signature": `t=${t},v1=${sign(webhook.secret, t, body)}`
+    }, body);
+    if (response_status < 200 || response_status > 299) error = `receiver answered ${response_status}`;
+  }catch(err){
+    error = err.message;
+  }
+
+  await db.query(`
+    INSERT INTO webhook_deliveries(id,webhook_id,event_id,event,transaction_id,job_id,attempt,status,response_status,error,duration_ms)
+    VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+  `, [uuidv4(), webhook_id, event.id, event.type, event.transaction ? event.transaction.id : null, job.id, job.attempts,
+      error ? "failed" : "succeeded", response_status, error, Date.now() - started]);
+
+  if (error) throw new Error(error);
+  return { delivered:true, event_id:event.id, response_status };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  validUrl,
+  checkUrl,
+  initWebhookTables,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  forUser,
+  trigger,
+  sendTest,
+  deliver
+};